@@ -1,15 +1,99 @@
 /**
  * Utility class providing abstract functions for ServiceNow record operations.
  * This script include offers reusable functions for retrieving complete record data
- * across any table in ServiceNow.
+ * across any table in ServiceNow, and for updating records from the same data (see updateRecord).
  * 
  * All methods support both sys_id and record number (e.g., INC0010001) as identifiers,
- * making it more flexible for different use cases.
+ * making it more flexible for different use cases. Records can also be identified by the
+ * identifier fields of their table (e.g. user_name for sys_user), by their display value, or
+ * explicitly as {field: value}. See resolveIdentifier.
+ *
+ * getRecordAllFields, findRelatedRecords, findRelatedRecordsPage and their JSON variants accept
+ * either the excludeEmpty flag or a query options object:
+ *   {boolean} excludeEmpty - Excludes fields with empty/null values.
+ *   {string[]|string} fields - Only returns these fields (comma separated or array). sys_id and
+ *                              display_value are always returned.
+ *   {string} encodedQuery - An encoded query the records must also match.
+ *   {string[]|string} orderBy - Fields to sort related records by, ascending.
+ *   {string[]|string} orderByDesc - Fields to sort related records by, descending.
+ *   {number} limit - Maximum number of related records to return.
+ *   {number} offset - Number of related records to skip.
+ *   {boolean} secure - Queries with GlideRecordSecure and leaves out the fields the user cannot read.
+ *   {boolean|object} redact - Masks personal data before it is returned: true uses the rules of the
+ *                             record_utils.redaction_rules system property, an object gives the rules
+ *                             ({fields, patterns}). See _getRedactionRules.
+ *
+ * With secure or redact, each record carries a redaction_report: {hidden: [field names],
+ * redacted: [{field, rule, count}]}.
+ *
+ * getRecordAllFieldsBatch and findRelatedRecordsBatch retrieve the records of many identifiers with a single
+ * query per table. Created with {cache: true}, an instance also keeps the records it retrieves, keyed by table,
+ * sys_id and field set, and every method reuses them instead of querying again. Use one instance per
+ * transaction so the cached records do not go stale.
  */
 var AbstractNowRecordUtils = Class.create();
 AbstractNowRecordUtils.prototype = {
-    initialize: function() {
+    // Limits applied by getRecordGraph when the expansion does not set its own
+    DEFAULT_GRAPH_MAX_DEPTH: 3,
+    DEFAULT_GRAPH_MAX_RECORDS: 100,
+
+    // Prompt text settings: long text fields are cut to this many characters, and tokens are
+    // estimated from the number of characters
+    DEFAULT_PROMPT_MAX_FIELD_LENGTH: 1000,
+    CHARS_PER_TOKEN: 4,
+    LONG_TEXT_TYPES: ['journal', 'journal_input', 'journal_list', 'html', 'translated_html'],
+    HTML_TYPES: ['html', 'translated_html'],
+
+    // Field types updateRecord treats specially: journal fields get a new entry instead of a new value,
+    // and date-time values are validated
+    JOURNAL_TYPES: ['journal', 'journal_input'],
+    DATE_TIME_TYPES: ['glide_date_time', 'due_date'],
+
+    // Properties of record data that are not fields, ignored by updateRecord
+    RECORD_DATA_KEYS: ['sys_id', 'display_value', 'redaction_report', 'related_lists'],
+
+    // Redaction rules used by the redact option, and the patterns masked when the rules do not list any
+    REDACTION_PROPERTY: 'record_utils.redaction_rules',
+    DEFAULT_REDACTION_PATTERNS: ['email', 'phone', 'card'],
+    REDACTION_PATTERNS: {
+        email: {
+            pattern: '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}',
+            placeholder: '[REDACTED EMAIL]'
+        },
+        phone: {
+            pattern: '(\\+\\d{1,3}[\\s.-]?)?\\(?\\b\\d{3}\\)?[\\s.-]?\\d{3}[\\s.-]?\\d{4}\\b',
+            placeholder: '[REDACTED PHONE]'
+        },
+        card: {
+            pattern: '\\b(?:\\d[ -]?){12,18}\\d\\b',
+            placeholder: '[REDACTED CARD]',
+            luhn: true
+        }
+    },
+    REDACTED_FIELD_PLACEHOLDER: '[REDACTED]',
+
+    // Fields tried, in order, to resolve a string identifier that is not a sys_id. Entries apply to extending
+    // tables too, and are overridden by the record_utils.identifier_fields system property and setIdentifierFields.
+    // number and the table's display field are tried after them.
+    IDENTIFIER_FIELDS_PROPERTY: 'record_utils.identifier_fields',
+    DEFAULT_IDENTIFIER_FIELDS: {
+        sys_user: ['user_name', 'email'],
+        sys_user_group: ['name'],
+        core_company: ['name'],
+        cmn_location: ['name'],
+        cmdb_ci: ['name']
+    },
+
+    /**
+     * @param {object} [config]
+     * @param {boolean} [config.cache=false] - Caches the records and identifier resolutions of this instance,
+     *                                         see clearCache.
+     */
+    initialize: function(config) {
         this.logSource = 'AbstractNowRecordUtils';
+        this._tableMetadata = {};
+        this._identifierFields = {};
+        this._cache = config && config.cache ? { records: {}, identifiers: {} } : null;
     },
 
     /**
@@ -17,18 +101,31 @@ AbstractNowRecordUtils.prototype = {
      *
      * @param {string} tableName - The name of the table containing the record.
      * @param {string} recordIdentifier - The sys_id or record number (e.g., INC0010001) of the record to retrieve.
-     * @param {boolean} [excludeEmpty=false] - If true, excludes fields with empty/null values.
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options. Ordering, limit and offset
+     *                                           do not apply to a single record.
      * @returns {object} - An object containing field values for the specified record.
-     *                    Returns null if the record is not found or input is invalid.
+     *                    Returns null if the record is not found, does not match the encoded query or input is invalid.
      */
-    getRecordAllFields: function(tableName, recordIdentifier, excludeEmpty) {
+    getRecordAllFields: function(tableName, recordIdentifier, options) {
         // Input validation
         if (!this._validateInput(tableName, recordIdentifier)) {
             return null;
         }
 
+        var queryOptions = this._normalizeOptions(options);
+
+        // The encoded query has to be checked against the database, so cached records are not used with it
+        if (!queryOptions.encodedQuery) {
+            var cachedSysId = this._isSysId(recordIdentifier) ? recordIdentifier :
+                this._getCachedSysId(tableName, recordIdentifier, queryOptions.secure);
+            var cached = cachedSysId ? this._getCachedRecord(tableName, cachedSysId, queryOptions) : null;
+            if (cached) {
+                return cached;
+            }
+        }
+
         try {
-            var gr = new GlideRecord(tableName);
+            var gr = this._newGlideRecord(tableName, queryOptions);
             
             // Validate table exists and is accessible
             if (!gr.isValid()) {
@@ -36,16 +133,23 @@ AbstractNowRecordUtils.prototype = {
                 return null;
             }
 
-            // Get the record using either sys_id or record number
-            var recordFound = this._getRecord(gr, recordIdentifier);
+            // An encoded query is applied as an extra condition on the record
+            if (!this._applyEncodedQuery(gr, queryOptions.encodedQuery, 'getRecordAllFields')) {
+                return null;
+            }
+
+            // Get the record using its sys_id or another identifier
+            var recordFound = this._getRecord(gr, recordIdentifier, queryOptions.secure);
             
             if (!recordFound) {
-                gs.info(this.logSource + '.getRecordAllFields: Record with identifier ' + recordIdentifier + ' not found in table ' + tableName);
+                gs.info(this.logSource + '.getRecordAllFields: Record with identifier ' + this._describeIdentifier(recordIdentifier) + ' not found in table ' + tableName);
                 return null;
             }
 
             // Record found, collect field values
-            return this._collectRecordData(gr, excludeEmpty);
+            var recordData = this._collectRecordData(gr, queryOptions);
+            this._cacheRecord(tableName, recordData, queryOptions);
+            return recordData;
         } catch (e) {
             gs.error(this.logSource + '.getRecordAllFields: Error retrieving record: ' + e.message);
             return null;
@@ -72,72 +176,33 @@ AbstractNowRecordUtils.prototype = {
      * @param {string} referenceFieldName - The field containing the reference to the target record.
      * @param {string} targetRecordIdentifier - The sys_id or record number of the target record being referenced.
      * @param {string} [targetTableName] - The table name of the target record (required when using record number).
-     * @param {boolean} [excludeEmpty=false] - If true, excludes fields with empty/null values.
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options.
      * @returns {object[]} - An array of objects, each containing field values for each related record.
      *                      Returns an empty array if no records are found or input is invalid.
      */
-    findRelatedRecords: function(tableName, referenceFieldName, targetRecordIdentifier, targetTableName, excludeEmpty) {
-        var results = [];
-        
-        // Handle optional parameters
-        if (typeof targetTableName === 'boolean') {
-            excludeEmpty = targetTableName;
-            targetTableName = null;
-        }
-
-        // Input validation
-        if (!this._validateInput(tableName, targetRecordIdentifier) || !referenceFieldName) {
-            return results;
-        }
-
-        try {
-            var gr = new GlideRecord(tableName);
-            
-            // Validate table exists and is accessible
-            if (!gr.isValid()) {
-                gs.warn(this.logSource + '.findRelatedRecords: Table "' + tableName + '" is not valid or accessible.');
-                return results;
-            }
-
-            // Validate reference field exists on the table
-            if (!gr.isValidField(referenceFieldName)) {
-                gs.warn(this.logSource + '.findRelatedRecords: Field "' + referenceFieldName + 
-                      '" does not exist on table "' + tableName + '".');
-                return results;
-            }
-
-            // If we have a record number instead of sys_id, we need to resolve it first
-            var targetSysId = targetRecordIdentifier;
-            if (targetRecordIdentifier.length !== 32 && targetTableName) {
-                var targetGr = new GlideRecord(targetTableName);
-                if (targetGr.isValid() && targetGr.get('number', targetRecordIdentifier)) {
-                    targetSysId = targetGr.getUniqueValue();
-                } else {
-                    gs.warn(this.logSource + '.findRelatedRecords: Could not resolve record number ' + 
-                          targetRecordIdentifier + ' in table ' + targetTableName);
-                    return results;
-                }
-            }
-
-            // Query for related records
-            gr.addQuery(referenceFieldName, targetSysId);
-            gr.query();
-
-            gs.debug(this.logSource + '.findRelatedRecords: Querying table ' + tableName + 
-                   ' for records where ' + referenceFieldName + ' = ' + targetSysId + 
-                   '. Found ' + gr.getRowCount() + ' records.');
-
-            // Collect data for each related record
-            while (gr.next()) {
-                var recordData = this._collectRecordData(gr, excludeEmpty);
-                results.push(recordData);
-            }
+    findRelatedRecords: function(tableName, referenceFieldName, targetRecordIdentifier, targetTableName, options) {
+        return this._queryRelatedRecords('findRelatedRecords', tableName, referenceFieldName,
+            targetRecordIdentifier, targetTableName, options, false).records;
+    },
 
-            return results;
-        } catch (e) {
-            gs.error(this.logSource + '.findRelatedRecords: Error querying table: ' + e.message);
-            return results;
-        }
+    /**
+     * Finds one page of the records that reference a given record, along with the total number of matches.
+     * Use the limit and offset query options to select the page.
+     *
+     * @param {string} tableName - The table to search for related records.
+     * @param {string} referenceFieldName - The field containing the reference to the target record.
+     * @param {string} targetRecordIdentifier - The sys_id or record number of the target record being referenced.
+     * @param {string} [targetTableName] - The table name of the target record (required when using record number).
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options.
+     * @returns {object} - {records, totalCount, offset, limit, hasMore}. totalCount counts every record matching
+     *                     the reference and encoded query, regardless of limit and offset. With the secure option
+     *                     and a limit, counting stops one record past the page, so totalCount is only exact
+     *                     when hasMore is false.
+     *                     Returns an empty page if no records are found or input is invalid.
+     */
+    findRelatedRecordsPage: function(tableName, referenceFieldName, targetRecordIdentifier, targetTableName, options) {
+        return this._queryRelatedRecords('findRelatedRecordsPage', tableName, referenceFieldName,
+            targetRecordIdentifier, targetTableName, options, true);
     },
 
     /**
@@ -160,12 +225,12 @@ AbstractNowRecordUtils.prototype = {
      *
      * @param {string} tableName - The name of the table containing the record.
      * @param {string} recordIdentifier - The sys_id or record number of the record to retrieve.
-     * @param {boolean} [excludeEmpty=false] - If true, excludes fields with empty/null values.
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options.
      * @returns {string} - A JSON string containing field values for the specified record.
      *                    Returns '{}' if the record is not found or input is invalid.
      */
-    getRecordAllFieldsAsJSON: function(tableName, recordIdentifier, excludeEmpty) {
-        var recordData = this.getRecordAllFields(tableName, recordIdentifier, excludeEmpty);
+    getRecordAllFieldsAsJSON: function(tableName, recordIdentifier, options) {
+        var recordData = this.getRecordAllFields(tableName, recordIdentifier, options);
         
         if (!recordData) {
             return '{}';
@@ -198,14 +263,14 @@ AbstractNowRecordUtils.prototype = {
      * @param {string} tableName - The table to search for related records.
      * @param {string} referenceFieldName - The field containing the reference to the target record.
      * @param {string} targetRecordIdentifier - The sys_id or record number of the target record being referenced.
-     * @param {string|boolean} [targetTableName] - The table name of the target record (required when using record number),
-     *                                           or boolean for excludeEmpty if targetTableName is not needed.
-     * @param {boolean} [excludeEmpty=false] - If true, excludes fields with empty/null values.
+     * @param {string|boolean|object} [targetTableName] - The table name of the target record (required when using record number),
+     *                                                  or the excludeEmpty flag or query options if targetTableName is not needed.
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options.
      * @returns {string} - A JSON string containing an array of objects with field values for each related record.
      *                    Returns '[]' if no records are found or input is invalid.
      */
-    findRelatedRecordsAsJSON: function(tableName, referenceFieldName, targetRecordIdentifier, targetTableName, excludeEmpty) {
-        var results = this.findRelatedRecords(tableName, referenceFieldName, targetRecordIdentifier, targetTableName, excludeEmpty);
+    findRelatedRecordsAsJSON: function(tableName, referenceFieldName, targetRecordIdentifier, targetTableName, options) {
+        var results = this.findRelatedRecords(tableName, referenceFieldName, targetRecordIdentifier, targetTableName, options);
         
         try {
             return JSON.stringify(results);
@@ -214,6 +279,29 @@ AbstractNowRecordUtils.prototype = {
             return '[]';
         }
     },
+
+    /**
+     * Returns a JSON string representation of one page of related records.
+     *
+     * @param {string} tableName - The table to search for related records.
+     * @param {string} referenceFieldName - The field containing the reference to the target record.
+     * @param {string} targetRecordIdentifier - The sys_id or record number of the target record being referenced.
+     * @param {string|boolean|object} [targetTableName] - The table name of the target record (required when using record number),
+     *                                                  or the excludeEmpty flag or query options if targetTableName is not needed.
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options.
+     * @returns {string} - A JSON string of the page returned by findRelatedRecordsPage.
+     *                    Returns '{}' if the page cannot be converted.
+     */
+    findRelatedRecordsPageAsJSON: function(tableName, referenceFieldName, targetRecordIdentifier, targetTableName, options) {
+        var page = this.findRelatedRecordsPage(tableName, referenceFieldName, targetRecordIdentifier, targetTableName, options);
+        
+        try {
+            return JSON.stringify(page);
+        } catch (e) {
+            gs.error(this.logSource + '.findRelatedRecordsPageAsJSON: Failed to stringify page: ' + e.message);
+            return '{}';
+        }
+    },
     
     /**
      * Returns a JSON string of related records with only populated fields.
@@ -231,165 +319,2381 @@ AbstractNowRecordUtils.prototype = {
     },
 
     /**
-     * Finds all interaction records for a specified user.
+     * Retrieves the records of many identifiers with a single query, in place of one getRecordAllFields call each.
+     * sys_ids are fetched directly; other identifiers are first resolved with one query per identifier field,
+     * see resolveIdentifier. Cached records are not queried again.
      *
-     * @param {string} userIdentifier - The sys_id or user_name of the user to find interactions for.
-     * @param {boolean} [excludeEmpty=false] - If true, excludes fields with empty/null values.
-     * @returns {object[]} - An array of objects, each containing field values for each interaction.
-     *                      Returns an empty array if no records are found or input is invalid.
+     * @param {string} tableName - The name of the table containing the records.
+     * @param {string[]} recordIdentifiers - The sys_ids or other identifiers of the records.
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options. Ordering, limit and offset
+     *                                           do not apply.
+     * @returns {object} - {records, notFound}: the records in the order of their identifiers, each record once, and
+     *                     the identifiers that are unknown, ambiguous or do not match the encoded query.
+     *                     Every identifier is reported as not found if input is invalid.
      */
-    findUserInteractions: function(userIdentifier, excludeEmpty) {
-        // This is a specific implementation of findRelatedRecords for interactions
-        return this.findRelatedRecords('interaction', 'opened_for', userIdentifier, 'sys_user', excludeEmpty);
+    getRecordAllFieldsBatch: function(tableName, recordIdentifiers, options) {
+        var result = {
+            records: [],
+            notFound: []
+        };
+
+        var identifiers = this._validateBatchInput('getRecordAllFieldsBatch', tableName, recordIdentifiers, result);
+        if (!identifiers) {
+            return result;
+        }
+
+        var queryOptions = this._normalizeOptions(options);
+        var invalid = result.notFound;
+
+        try {
+            if (!this._newGlideRecord(tableName, queryOptions).isValid()) {
+                gs.warn(this.logSource + '.getRecordAllFieldsBatch: Table "' + tableName + '" is not valid or accessible.');
+                result.notFound = invalid.concat(identifiers);
+                return result;
+            }
+
+            var resolution = this._resolveIdentifiers(tableName, identifiers, queryOptions.secure);
+            var recordsBySysId = {};
+            var missingSysIds = [];
+
+            for (var i = 0; i < resolution.sysIds.length; i++) {
+                var sysId = resolution.sysIds[i];
+                var cached = !queryOptions.encodedQuery && this._getCachedRecord(tableName, sysId, queryOptions);
+                if (cached) {
+                    recordsBySysId[sysId] = cached;
+                } else if (missingSysIds.indexOf(sysId) === -1) {
+                    missingSysIds.push(sysId);
+                }
+            }
+
+            if (missingSysIds.length) {
+                var gr = this._newGlideRecord(tableName, queryOptions);
+                if (!this._applyEncodedQuery(gr, queryOptions.encodedQuery, 'getRecordAllFieldsBatch')) {
+                    result.notFound = invalid.concat(identifiers);
+                    return result;
+                }
+                gr.addQuery('sys_id', 'IN', missingSysIds.join(','));
+                gr.query();
+
+                while (gr.next()) {
+                    var recordData = this._collectRecordData(gr, queryOptions);
+                    this._cacheRecord(tableName, recordData, queryOptions);
+                    recordsBySysId[recordData.sys_id] = recordData;
+                }
+            }
+
+            result.notFound = invalid.concat(resolution.notFound);
+            var added = {};
+            for (var j = 0; j < identifiers.length; j++) {
+                var recordSysId = resolution.sysIdByIdentifier[this._describeIdentifier(identifiers[j])];
+                if (!recordSysId) {
+                    continue;
+                }
+                if (!recordsBySysId[recordSysId]) {
+                    result.notFound.push(identifiers[j]);
+                } else if (!added[recordSysId]) {
+                    added[recordSysId] = true;
+                    result.records.push(recordsBySysId[recordSysId]);
+                }
+            }
+
+            return result;
+        } catch (e) {
+            gs.error(this.logSource + '.getRecordAllFieldsBatch: Error retrieving records: ' + e.message);
+            return {
+                records: [],
+                notFound: invalid.concat(identifiers)
+            };
+        }
     },
 
     /**
-     * Finds all interaction records for a specified user with only populated fields.
-     * This is a convenience method that calls findUserInteractions with excludeEmpty set to true.
+     * Returns a JSON string representation of getRecordAllFieldsBatch.
      *
-     * @param {string} userIdentifier - The sys_id or user_name of the user to find interactions for.
-     * @returns {object[]} - An array of objects, each containing only populated field values.
-     *                     Returns an empty array if no records are found or input is invalid.
+     * @param {string} tableName - The name of the table containing the records.
+     * @param {string[]} recordIdentifiers - The sys_ids or other identifiers of the records.
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options.
+     * @returns {string} - A JSON string of {records, notFound}.
      */
-    findPopulatedUserInteractions: function(userIdentifier) {
-        return this.findUserInteractions(userIdentifier, true);
+    getRecordAllFieldsBatchAsJSON: function(tableName, recordIdentifiers, options) {
+        var result = this.getRecordAllFieldsBatch(tableName, recordIdentifiers, options);
+
+        try {
+            return JSON.stringify(result);
+        } catch (e) {
+            gs.error(this.logSource + '.getRecordAllFieldsBatchAsJSON: Failed to stringify results: ' + e.message);
+            return '{"records": [], "notFound": []}';
+        }
     },
 
     /**
-     * Returns a JSON string representation of all interactions for a specified user.
+     * Finds the records referencing each of many target records with a single query, in place of one
+     * findRelatedRecords call per target. With a limit, each target record is queried with the limit.
      *
-     * @param {string} userIdentifier - The sys_id or user_name of the user to find interactions for.
-     * @param {boolean} [excludeEmpty=false] - If true, excludes fields with empty/null values.
-     * @returns {string} - A JSON string containing an array of objects with field values for each interaction.
-     *                    Returns '[]' if no records are found or input is invalid.
+     * @param {string} tableName - The table to search for related records.
+     * @param {string} referenceFieldName - The field containing the reference to the target records.
+     * @param {string[]} targetRecordIdentifiers - The sys_ids or other identifiers of the target records.
+     * @param {string|boolean|object} [targetTableName] - The table name of the target records (required when using
+     *                                                  other identifiers than sys_ids), or the excludeEmpty flag or
+     *                                                  query options if targetTableName is not needed.
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options. limit applies to each
+     *                                           target record and then takes one query per target record;
+     *                                           offset is not supported.
+     * @returns {object} - {results, notFound}: {identifier, sysId, records} for each target record found, in the
+     *                     order of the identifiers, and the identifiers that could not be resolved.
+     *                     Every identifier is reported as not found if input is invalid.
      */
-    findUserInteractionsAsJSON: function(userIdentifier, excludeEmpty) {
-        var results = this.findUserInteractions(userIdentifier, excludeEmpty);
-        
+    findRelatedRecordsBatch: function(tableName, referenceFieldName, targetRecordIdentifiers, targetTableName, options) {
+        // Handle optional parameters
+        if (typeof targetTableName === 'boolean' || (targetTableName && typeof targetTableName === 'object')) {
+            options = targetTableName;
+            targetTableName = null;
+        }
+
+        var result = {
+            results: [],
+            notFound: []
+        };
+
+        var identifiers = this._validateBatchInput('findRelatedRecordsBatch', tableName, targetRecordIdentifiers, result);
+        if (!identifiers) {
+            return result;
+        }
+
+        var queryOptions = this._normalizeOptions(options);
+        var invalid = result.notFound;
+
+        if (!referenceFieldName || !this._validateWindow(queryOptions, 'findRelatedRecordsBatch') || queryOptions.offset) {
+            if (queryOptions.offset) {
+                gs.warn(this.logSource + '.findRelatedRecordsBatch: offset is not supported.');
+            }
+            result.notFound = invalid.concat(identifiers);
+            return result;
+        }
+
         try {
-            return JSON.stringify(results);
+            var gr = this._newGlideRecord(tableName, queryOptions);
+
+            // Validate table exists and is accessible
+            if (!gr.isValid()) {
+                gs.warn(this.logSource + '.findRelatedRecordsBatch: Table "' + tableName + '" is not valid or accessible.');
+                result.notFound = invalid.concat(identifiers);
+                return result;
+            }
+
+            // Validate reference field exists on the table
+            if (!gr.isValidField(referenceFieldName)) {
+                gs.warn(this.logSource + '.findRelatedRecordsBatch: Field "' + referenceFieldName + 
+                      '" does not exist on table "' + tableName + '".');
+                result.notFound = invalid.concat(identifiers);
+                return result;
+            }
+
+            // Without the target table only sys_ids can be used
+            var resolution;
+            if (targetTableName) {
+                resolution = this._resolveIdentifiers(targetTableName, identifiers, queryOptions.secure);
+            } else {
+                resolution = { sysIds: [], sysIdByIdentifier: {}, notFound: [] };
+                for (var i = 0; i < identifiers.length; i++) {
+                    if (this._isSysId(identifiers[i])) {
+                        resolution.sysIds.push(identifiers[i]);
+                        resolution.sysIdByIdentifier[identifiers[i]] = identifiers[i];
+                    } else {
+                        gs.warn(this.logSource + '.findRelatedRecordsBatch: Could not resolve record identifier ' + 
+                              this._describeIdentifier(identifiers[i]) + ' without a target table.');
+                        resolution.notFound.push(identifiers[i]);
+                    }
+                }
+            }
+            result.notFound = invalid.concat(resolution.notFound);
+
+            var recordsBySysId = {};
+            for (var j = 0; j < resolution.sysIds.length; j++) {
+                recordsBySysId[resolution.sysIds[j]] = [];
+            }
+
+            // A limit applies to each target record, so every target then gets its own limited query
+            var targetGroups = [];
+            if (queryOptions.limit) {
+                for (var k = 0; k < resolution.sysIds.length; k++) {
+                    targetGroups.push([resolution.sysIds[k]]);
+                }
+            } else if (resolution.sysIds.length) {
+                targetGroups.push(resolution.sysIds);
+            }
+
+            for (var g = 0; g < targetGroups.length; g++) {
+                var related = this._newGlideRecord(tableName, queryOptions);
+                related.addQuery(referenceFieldName, 'IN', targetGroups[g].join(','));
+                if (!this._applyEncodedQuery(related, queryOptions.encodedQuery, 'findRelatedRecordsBatch') ||
+                    !this._applyOrdering(related, queryOptions, 'findRelatedRecordsBatch')) {
+                    result.notFound = invalid.concat(identifiers);
+                    return result;
+                }
+                if (queryOptions.limit) {
+                    related.setLimit(queryOptions.limit);
+                }
+                related.query();
+
+                while (related.next()) {
+                    var records = recordsBySysId[String(related.getValue(referenceFieldName))];
+                    if (!records) {
+                        continue;
+                    }
+                    var recordData = this._collectRecordData(related, queryOptions);
+                    this._cacheRecord(tableName, recordData, queryOptions);
+                    records.push(recordData);
+                }
+            }
+
+            for (var k = 0; k < identifiers.length; k++) {
+                var sysId = resolution.sysIdByIdentifier[this._describeIdentifier(identifiers[k])];
+                if (sysId) {
+                    result.results.push({
+                        identifier: identifiers[k],
+                        sysId: sysId,
+                        records: recordsBySysId[sysId]
+                    });
+                }
+            }
+
+            return result;
         } catch (e) {
-            gs.error(this.logSource + '.findUserInteractionsAsJSON: Failed to stringify results: ' + e.message);
-            return '[]';
+            gs.error(this.logSource + '.findRelatedRecordsBatch: Error querying table: ' + e.message);
+            return {
+                results: [],
+                notFound: invalid.concat(identifiers)
+            };
         }
     },
 
     /**
-     * Returns a JSON string representation of all interactions for a specified user with only populated fields.
-     * This is a convenience method that calls findUserInteractionsAsJSON with excludeEmpty set to true.
+     * Returns a JSON string representation of findRelatedRecordsBatch.
      *
-     * @param {string} userIdentifier - The sys_id or user_name of the user to find interactions for.
-     * @returns {string} - A JSON string containing an array of objects with only populated field values.
-     *                   Returns '[]' if no records are found or input is invalid.
+     * @param {string} tableName - The table to search for related records.
+     * @param {string} referenceFieldName - The field containing the reference to the target records.
+     * @param {string[]} targetRecordIdentifiers - The sys_ids or other identifiers of the target records.
+     * @param {string|boolean|object} [targetTableName] - The table name of the target records, or the excludeEmpty
+     *                                                  flag or query options if targetTableName is not needed.
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options.
+     * @returns {string} - A JSON string of {results, notFound}.
      */
-    findPopulatedUserInteractionsAsJSON: function(userIdentifier) {
-        return this.findUserInteractionsAsJSON(userIdentifier, true);
+    findRelatedRecordsBatchAsJSON: function(tableName, referenceFieldName, targetRecordIdentifiers, targetTableName, options) {
+        var result = this.findRelatedRecordsBatch(tableName, referenceFieldName, targetRecordIdentifiers, targetTableName, options);
+
+        try {
+            return JSON.stringify(result);
+        } catch (e) {
+            gs.error(this.logSource + '.findRelatedRecordsBatchAsJSON: Failed to stringify results: ' + e.message);
+            return '{"results": [], "notFound": []}';
+        }
     },
 
     /**
-     * Retrieves the short description for a specific record.
+     * Retrieves a record together with the records it references and the records that reference it,
+     * as a single nested object.
      *
-     * @param {string} tableName - The name of the table containing the record.
-     * @param {string} recordIdentifier - The sys_id or record number of the record to retrieve.
-     * @returns {string} - The short description of the record.
-     *                    Returns null if the record is not found, input is invalid, or short_description field doesn't exist.
+     * Each expanded reference field gets a `record` property holding the referenced record, and the related
+     * lists are returned under `related_lists`, keyed by name:
+     *
+     *     utils.getRecordGraph('incident', 'INC0010042', {
+     *         references: ['caller_id.company', 'assignment_group.manager'],
+     *         relatedLists: [{
+     *             name: 'tasks',
+     *             table: 'incident_task',
+     *             referenceField: 'incident',
+     *             options: { orderBy: 'number', limit: 10 },
+     *             references: ['assigned_to']
+     *         }]
+     *     });
+     *
+     * A record already on the path from the root is not expanded again; its reference field is marked with
+     * `cycle: true` instead. Once maxRecords records have been retrieved, expansion stops and the root
+     * is marked with `truncated: true`.
+     *
+     * @param {string} tableName - The name of the table containing the root record.
+     * @param {string} recordIdentifier - The sys_id or record number of the root record.
+     * @param {object} [expansion] - What to expand:
+     *                               {string[]} references - Dot-walk paths of reference fields to expand.
+     *                               {object[]} relatedLists - Related lists to retrieve: {name, table, referenceField,
+     *                                          options, references, relatedLists}. options are the query options of
+     *                                          findRelatedRecords; references and relatedLists expand each related record.
+     *                               {number} maxDepth - Maximum number of hops from the root (default 3).
+     *                               {number} maxRecords - Maximum number of records retrieved, including the root (default 100).
+     *                               {boolean} excludeEmpty - Excludes fields with empty/null values from every record.
+     *                               {object} fields - Field whitelist per table name: {table: [fields]}. Expanded reference
+     *                                                 fields are always included.
+     *                               {boolean} secure, {boolean|object} redact - Apply to every record of the graph,
+     *                                                 related lists included.
+     * @returns {object} - The root record with its expansions.
+     *                    Returns null if the root record is not found or input is invalid.
      */
-    getShortDescription: function(tableName, recordIdentifier) {
+    getRecordGraph: function(tableName, recordIdentifier, expansion) {
         // Input validation
         if (!this._validateInput(tableName, recordIdentifier)) {
             return null;
         }
 
+        expansion = expansion || {};
+
         try {
-            var gr = new GlideRecord(tableName);
-            
-            // Validate table exists and is accessible
-            if (!gr.isValid()) {
-                gs.warn(this.logSource + '.getShortDescription: Table "' + tableName + '" is not valid or accessible.');
-                return null;
-            }
+            var state = {
+                maxDepth: expansion.maxDepth === undefined ? this.DEFAULT_GRAPH_MAX_DEPTH : expansion.maxDepth,
+                remaining: expansion.maxRecords === undefined ? this.DEFAULT_GRAPH_MAX_RECORDS : expansion.maxRecords,
+                excludeEmpty: !!expansion.excludeEmpty,
+                secure: !!expansion.secure,
+                redact: expansion.redact,
+                fields: expansion.fields || {},
+                referenceTables: {},
+                truncated: false
+            };
 
-            // Validate short_description field exists on the table
-            if (!gr.isValidField('short_description')) {
-                gs.warn(this.logSource + '.getShortDescription: Field "short_description" does not exist on table "' + tableName + '".');
+            var node = this._parseExpansion(expansion);
+            var root = this.getRecordAllFields(tableName, recordIdentifier, this._graphOptions(tableName, node, state));
+            if (!root) {
                 return null;
             }
+            state.remaining--;
 
-            // Get the record using either sys_id or record number
-            var recordFound = this._getRecord(gr, recordIdentifier);
-            
-            if (!recordFound) {
-                gs.info(this.logSource + '.getShortDescription: Record with identifier ' + recordIdentifier + ' not found in table ' + tableName);
-                return null;
+            this._expandGraphNode(tableName, root, node, state, 0, [tableName + ':' + root.sys_id]);
+
+            if (state.truncated) {
+                gs.warn(this.logSource + '.getRecordGraph: Stopped expanding record ' + this._describeIdentifier(recordIdentifier) + 
+                      ' in table ' + tableName + ' after reaching the record budget.');
+                root.truncated = true;
             }
 
-            // Return the short description
-            return gr.getValue('short_description');
+            return root;
         } catch (e) {
-            gs.error(this.logSource + '.getShortDescription: Error retrieving short description: ' + e.message);
+            gs.error(this.logSource + '.getRecordGraph: Error expanding record: ' + e.message);
             return null;
         }
     },
 
     /**
-     * Private method to validate common input parameters.
+     * Returns a JSON string representation of a record graph.
      *
-     * @param {string} tableName - The name of a table.
-     * @param {string} recordIdentifier - A sys_id or record number value.
-     * @returns {boolean} - True if inputs are valid, false otherwise.
+     * @param {string} tableName - The name of the table containing the root record.
+     * @param {string} recordIdentifier - The sys_id or record number of the root record.
+     * @param {object} [expansion] - What to expand, see getRecordGraph.
+     * @returns {string} - A JSON string containing the root record with its expansions.
+     *                    Returns '{}' if the root record is not found or input is invalid.
      */
-    _validateInput: function(tableName, recordIdentifier) {
-        if (!tableName || typeof tableName !== 'string') {
-            gs.warn(this.logSource + ': Invalid or missing tableName provided.');
-            return false;
-        }
+    getRecordGraphAsJSON: function(tableName, recordIdentifier, expansion) {
+        var graph = this.getRecordGraph(tableName, recordIdentifier, expansion);
 
-        if (!recordIdentifier || typeof recordIdentifier !== 'string') {
-            gs.warn(this.logSource + ': Invalid or missing record identifier provided.');
-            return false;
+        if (!graph) {
+            return '{}';
         }
 
-        return true;
+        try {
+            return JSON.stringify(graph);
+        } catch (e) {
+            gs.error(this.logSource + '.getRecordGraphAsJSON: Failed to stringify object: ' + e.message);
+            return '{"error": "Failed to generate JSON output."}';
+        }
     },
-    
+
     /**
-     * Private method to get a record using either sys_id or record number.
+     * Renders a record, the records it references and its related records as compact text for a
+     * Now Assist prompt. Fields are shown by label with their display values:
      *
-     * @param {GlideRecord} gr - A GlideRecord object for the table.
+     *     # Incident: INC0010042
+     *     Short description: Email server is down
+     *     Caller: Abel Tuter
+     *       Email: abel.tuter@example.com
+     *
+     *     ## Incident Task
+     *     - TASK0010001
+     *       Short description: Restart mail relay
+     *
+     * Empty and system (sys_*) fields are left out, HTML is stripped, and journal and HTML fields are cut
+     * to maxFieldLength characters. With a tokenBudget, fields are added in priority order and the ones that
+     * do not fit are left out.
+     *
+     * @param {string} tableName - The name of the table containing the record.
      * @param {string} recordIdentifier - The sys_id or record number of the record.
-     * @returns {boolean} - True if record was found, false otherwise.
+     * @param {object} [options] - The expansion of getRecordGraph (references, relatedLists, maxDepth, maxRecords,
+     *                             fields), plus the rendering options of recordToPromptText.
+     * @returns {string} - The prompt text. Returns an empty string if the record is not found or input is invalid.
      */
-    _getRecord: function(gr, recordIdentifier) {
-        // If it's a sys_id (32 character string)
-        if (recordIdentifier.length === 32) {
-            return gr.get(recordIdentifier);
-        } 
-        // Otherwise, assume it's a record number
-        else {
-            return gr.get('number', recordIdentifier);
+    getRecordAsPromptText: function(tableName, recordIdentifier, options) {
+        options = options || {};
+
+        var expansion = {};
+        for (var name in options) {
+            expansion[name] = options[name];
+        }
+        expansion.excludeEmpty = true;
+
+        var graph = this.getRecordGraph(tableName, recordIdentifier, expansion);
+        if (!graph) {
+            return '';
         }
+
+        // Related lists of the graph are keyed by name, their table comes from the definition
+        var relatedRecords = {};
+        var definitions = options.relatedLists || [];
+        for (var i = 0; i < definitions.length; i++) {
+            var listName = definitions[i].name || definitions[i].table;
+            if (graph.related_lists && graph.related_lists[listName]) {
+                relatedRecords[listName] = {
+                    table: definitions[i].table,
+                    referenceField: definitions[i].referenceField,
+                    records: graph.related_lists[listName]
+                };
+            }
+        }
+
+        return this.recordToPromptText(tableName, graph, relatedRecords, options);
     },
 
     /**
-     * Private method to collect all field data from a GlideRecord.
+     * Renders record data already retrieved with getRecordAllFields or getRecordGraph, and related records
+     * retrieved with findRelatedRecords, as compact prompt text. See getRecordAsPromptText for the format.
+     * Expanded reference fields are rendered below the field; related lists of related records are not rendered.
      *
-     * @param {GlideRecord} gr - A GlideRecord object positioned to a valid record.
-     * @param {boolean} [excludeEmpty=false] - If true, excludes fields with empty/null values.
-     * @returns {object} - An object containing field values from the record.
+     * @param {string} tableName - The table of the record.
+     * @param {object} recordData - The record data.
+     * @param {object} [relatedRecords] - Related records by list name: {name: {table, referenceField, records}}.
+     *                                    The referenceField back to the record is left out of each related record.
+     * @param {object} [options] - Rendering options:
+     *                             {boolean} includeSystemFields - Includes sys_* fields (default false).
+     *                             {number} maxFieldLength - Length journal and HTML fields are cut to (default 1000).
+     *                             {string[]} fieldPriority - Field names rendered first, in this order.
+     *                             {number} tokenBudget - Approximate maximum number of tokens of the text.
+     * @returns {string} - The prompt text. Returns an empty string if recordData is empty.
      */
-    _collectRecordData: function(gr, excludeEmpty) {
-        var recordData = {
-            sys_id: gr.getUniqueValue(),
-            display_value: gr.getDisplayValue()
-        };
+    recordToPromptText: function(tableName, recordData, relatedRecords, options) {
+        if (!recordData || !tableName) {
+            return '';
+        }
 
-        // Get all fields for this record
-        var tableFields = gr.getFields();
+        options = options || {};
+        relatedRecords = relatedRecords || {};
+
+        try {
+            var settings = {
+                includeSystemFields: !!options.includeSystemFields,
+                maxFieldLength: options.maxFieldLength || this.DEFAULT_PROMPT_MAX_FIELD_LENGTH,
+                fieldPriority: this._toList(options.fieldPriority)
+            };
+
+            // The text is built from blocks, kept or left out as a whole when enforcing the token budget
+            var header = '# ' + this._getTableMetadata(tableName).label + ': ' + recordData.display_value;
+            var blocks = [];
+
+            var fieldNames = this._promptFieldNames(recordData, settings);
+            for (var i = 0; i < fieldNames.length; i++) {
+                blocks.push({
+                    text: this._promptField(tableName, fieldNames[i], recordData[fieldNames[i]], settings, '')
+                });
+            }
+
+            for (var listName in relatedRecords) {
+                var relatedList = relatedRecords[listName];
+                var tableLabel = this._getTableMetadata(relatedList.table).label;
+                var heading = '\n## ' + (listName === relatedList.table ? tableLabel : listName);
+
+                for (var j = 0; j < relatedList.records.length; j++) {
+                    blocks.push({
+                        heading: heading,
+                        text: this._promptRelatedRecord(relatedList.table, relatedList.records[j], relatedList.referenceField, settings)
+                    });
+                }
+            }
+
+            return this._applyTokenBudget(header, blocks, options.tokenBudget);
+        } catch (e) {
+            gs.error(this.logSource + '.recordToPromptText: Error rendering record: ' + e.message);
+            return '';
+        }
+    },
+
+    /**
+     * Finds all interaction records for a specified user.
+     *
+     * @param {string} userIdentifier - The sys_id or user_name of the user to find interactions for.
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options.
+     * @returns {object[]} - An array of objects, each containing field values for each interaction.
+     *                      Returns an empty array if no records are found or input is invalid.
+     */
+    findUserInteractions: function(userIdentifier, options) {
+        // This is a specific implementation of findRelatedRecords for interactions
+        return this.findRelatedRecords('interaction', 'opened_for', userIdentifier, 'sys_user', options);
+    },
+
+    /**
+     * Finds all interaction records for a specified user with only populated fields.
+     * This is a convenience method that calls findUserInteractions with excludeEmpty set to true.
+     *
+     * @param {string} userIdentifier - The sys_id or user_name of the user to find interactions for.
+     * @returns {object[]} - An array of objects, each containing only populated field values.
+     *                     Returns an empty array if no records are found or input is invalid.
+     */
+    findPopulatedUserInteractions: function(userIdentifier) {
+        return this.findUserInteractions(userIdentifier, true);
+    },
+
+    /**
+     * Returns a JSON string representation of all interactions for a specified user.
+     *
+     * @param {string} userIdentifier - The sys_id or user_name of the user to find interactions for.
+     * @param {boolean|object} [options=false] - The excludeEmpty flag or query options.
+     * @returns {string} - A JSON string containing an array of objects with field values for each interaction.
+     *                    Returns '[]' if no records are found or input is invalid.
+     */
+    findUserInteractionsAsJSON: function(userIdentifier, options) {
+        var results = this.findUserInteractions(userIdentifier, options);
+        
+        try {
+            return JSON.stringify(results);
+        } catch (e) {
+            gs.error(this.logSource + '.findUserInteractionsAsJSON: Failed to stringify results: ' + e.message);
+            return '[]';
+        }
+    },
+
+    /**
+     * Returns a JSON string representation of all interactions for a specified user with only populated fields.
+     * This is a convenience method that calls findUserInteractionsAsJSON with excludeEmpty set to true.
+     *
+     * @param {string} userIdentifier - The sys_id or user_name of the user to find interactions for.
+     * @returns {string} - A JSON string containing an array of objects with only populated field values.
+     *                   Returns '[]' if no records are found or input is invalid.
+     */
+    findPopulatedUserInteractionsAsJSON: function(userIdentifier) {
+        return this.findUserInteractionsAsJSON(userIdentifier, true);
+    },
+
+    /**
+     * Retrieves the journal entries (work notes, comments, ...) of a record from sys_journal_field,
+     * oldest first. The record can be looked up through a parent table, e.g. task for an incident.
+     *
+     * @param {string} tableName - The name of the table containing the record.
+     * @param {string} recordIdentifier - The sys_id or record number of the record.
+     * @param {object} [options] - History options:
+     *                             {string[]|string} elements - Only these journal fields, e.g. ['work_notes', 'comments'].
+     *                             {string} from - Only entries created at or after this date-time (yyyy-MM-dd HH:mm:ss, UTC).
+     *                             {string} to - Only entries created at or before this date-time.
+     *                             {number} limit - Maximum number of entries to return.
+     *                             {boolean} newestFirst - Returns the newest entries first.
+     *                             {boolean} secure - Looks up the record with GlideRecordSecure and leaves out the
+     *                                                entries of journal fields the user cannot read on it.
+     *                             {boolean|object} redact - Masks personal data in the entry values, see the query options.
+     * @returns {object[]} - An array of {sys_id, element, value, created_on, created_by}.
+     *                      Returns an empty array if the record is not found or input is invalid.
+     */
+    getJournalEntries: function(tableName, recordIdentifier, options) {
+        return this._queryHistory('getJournalEntries', tableName, recordIdentifier, options, {
+            table: 'sys_journal_field',
+            tableField: 'name',
+            documentField: 'element_id',
+            elementField: 'element',
+            fieldKey: 'element',
+            redactKeys: ['value'],
+            collect: function(gr) {
+                return {
+                    sys_id: gr.getUniqueValue(),
+                    element: gr.getValue('element'),
+                    value: gr.getValue('value'),
+                    created_on: gr.getValue('sys_created_on'),
+                    created_by: gr.getValue('sys_created_by')
+                };
+            }
+        });
+    },
+
+    /**
+     * Returns a JSON string representation of the journal entries of a record.
+     *
+     * @param {string} tableName - The name of the table containing the record.
+     * @param {string} recordIdentifier - The sys_id or record number of the record.
+     * @param {object} [options] - History options, see getJournalEntries.
+     * @returns {string} - A JSON string containing an array of journal entries.
+     *                    Returns '[]' if the record is not found or input is invalid.
+     */
+    getJournalEntriesAsJSON: function(tableName, recordIdentifier, options) {
+        var entries = this.getJournalEntries(tableName, recordIdentifier, options);
+
+        try {
+            return JSON.stringify(entries);
+        } catch (e) {
+            gs.error(this.logSource + '.getJournalEntriesAsJSON: Failed to stringify results: ' + e.message);
+            return '[]';
+        }
+    },
+
+    /**
+     * Retrieves the field change history of a record from sys_audit, oldest first.
+     * The record's table must be audited for changes to be recorded.
+     *
+     * @param {string} tableName - The name of the table containing the record.
+     * @param {string} recordIdentifier - The sys_id or record number of the record.
+     * @param {object} [options] - History options, see getJournalEntries. elements filters on the changed field names.
+     *                             With secure, changes of fields the user cannot read on the record are left out,
+     *                             and redact masks the old and new values.
+     * @returns {object[]} - An array of {sys_id, field, old_value, new_value, reason, created_on, user}.
+     *                      Returns an empty array if the record is not found or input is invalid.
+     */
+    getAuditHistory: function(tableName, recordIdentifier, options) {
+        return this._queryHistory('getAuditHistory', tableName, recordIdentifier, options, {
+            table: 'sys_audit',
+            tableField: 'tablename',
+            documentField: 'documentkey',
+            elementField: 'fieldname',
+            fieldKey: 'field',
+            redactKeys: ['old_value', 'new_value'],
+            collect: function(gr) {
+                return {
+                    sys_id: gr.getUniqueValue(),
+                    field: gr.getValue('fieldname'),
+                    old_value: gr.getValue('oldvalue'),
+                    new_value: gr.getValue('newvalue'),
+                    reason: gr.getValue('reason'),
+                    created_on: gr.getValue('sys_created_on'),
+                    user: gr.getValue('user')
+                };
+            }
+        });
+    },
+
+    /**
+     * Returns a JSON string representation of the field change history of a record.
+     *
+     * @param {string} tableName - The name of the table containing the record.
+     * @param {string} recordIdentifier - The sys_id or record number of the record.
+     * @param {object} [options] - History options, see getAuditHistory.
+     * @returns {string} - A JSON string containing an array of field changes.
+     *                    Returns '[]' if the record is not found or input is invalid.
+     */
+    getAuditHistoryAsJSON: function(tableName, recordIdentifier, options) {
+        var changes = this.getAuditHistory(tableName, recordIdentifier, options);
+
+        try {
+            return JSON.stringify(changes);
+        } catch (e) {
+            gs.error(this.logSource + '.getAuditHistoryAsJSON: Failed to stringify results: ' + e.message);
+            return '[]';
+        }
+    },
+
+    /**
+     * Retrieves the metadata of the attachments of a record from sys_attachment, oldest first.
+     * The attachment content is not read.
+     *
+     * @param {string} tableName - The name of the table containing the record.
+     * @param {string} recordIdentifier - The sys_id or record number of the record.
+     * @param {object} [options] - History options, see getJournalEntries. elements filters on content types,
+     *                             e.g. ['application/pdf', 'image/png']. redact masks the file names.
+     * @returns {object[]} - An array of {sys_id, file_name, content_type, size_bytes, created_on, created_by}.
+     *                      Returns an empty array if the record is not found or input is invalid.
+     */
+    getAttachments: function(tableName, recordIdentifier, options) {
+        return this._queryHistory('getAttachments', tableName, recordIdentifier, options, {
+            table: 'sys_attachment',
+            tableField: 'table_name',
+            documentField: 'table_sys_id',
+            elementField: 'content_type',
+            fieldKey: null,
+            redactKeys: ['file_name'],
+            collect: function(gr) {
+                return {
+                    sys_id: gr.getUniqueValue(),
+                    file_name: gr.getValue('file_name'),
+                    content_type: gr.getValue('content_type'),
+                    size_bytes: parseInt(gr.getValue('size_bytes'), 10) || 0,
+                    created_on: gr.getValue('sys_created_on'),
+                    created_by: gr.getValue('sys_created_by')
+                };
+            }
+        });
+    },
+
+    /**
+     * Returns a JSON string representation of the attachment metadata of a record.
+     *
+     * @param {string} tableName - The name of the table containing the record.
+     * @param {string} recordIdentifier - The sys_id or record number of the record.
+     * @param {object} [options] - History options, see getAttachments.
+     * @returns {string} - A JSON string containing an array of attachment metadata.
+     *                    Returns '[]' if the record is not found or input is invalid.
+     */
+    getAttachmentsAsJSON: function(tableName, recordIdentifier, options) {
+        var attachments = this.getAttachments(tableName, recordIdentifier, options);
+
+        try {
+            return JSON.stringify(attachments);
+        } catch (e) {
+            gs.error(this.logSource + '.getAttachmentsAsJSON: Failed to stringify results: ' + e.message);
+            return '[]';
+        }
+    },
+
+    /**
+     * Updates a record from changes in the shape getRecordAllFields returns: {field: {value}}.
+     *
+     *     utils.updateRecord('incident', 'INC0010042', {
+     *         priority: { value: '2' },
+     *         assigned_to: { value: 'beth.anglin' },
+     *         work_notes: { value: 'Priority lowered, the workaround is confirmed.' }
+     *     }, { dryRun: true });
+     *
+     * Every change is validated before anything is written: the field must exist and not be a system field,
+     * the user must be able to write it, and the value must be one of the field's choices, a valid date-time,
+     * or for reference fields any identifier of an existing record (see resolveIdentifier). If one change is
+     * invalid, nothing is written.
+     *
+     * Journal fields such as work_notes and comments get the value as a new entry. Other fields are replaced,
+     * unless the change is {value, append: true}, which adds the value on a new line after the current text.
+     * Unchanged fields are left out of the diff, so a record from getRecordAllFields can be passed back as a
+     * whole. Its sys_id, display_value and the fields its redaction_report lists are ignored, so masked values
+     * are never written back.
+     *
+     * @param {string} tableName - The name of the table containing the record.
+     * @param {string|object} recordIdentifier - The sys_id or another identifier of the record.
+     * @param {object} changes - The new values: {field: {value, append}}.
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun=false] - Only returns the diff against the current values, without writing.
+     * @param {boolean} [options.secure=true] - Reads and writes with GlideRecordSecure and checks the write ACL of
+     *                                          every changed field. Set to false for trusted system updates only.
+     * @returns {object} - {status, sysId, diff, errors}. status is 'updated', 'unchanged', 'dry_run', 'rejected'
+     *                     when a change is invalid or 'failed' when the update was not saved. diff lists
+     *                     {field, label, operation, before, after} for each changed field, operation being 'set'
+     *                     or 'append' and before and after {value, display_value}. errors lists {field, code, message}.
+     *                     Returns null if the record is not found or input is invalid.
+     */
+    updateRecord: function(tableName, recordIdentifier, changes, options) {
+        // Input validation
+        if (!this._validateInput(tableName, recordIdentifier)) {
+            return null;
+        }
+
+        if (!changes || typeof changes !== 'object') {
+            gs.warn(this.logSource + '.updateRecord: Invalid or missing changes provided.');
+            return null;
+        }
+
+        options = options || {};
+        var secure = options.secure !== false;
+
+        try {
+            var gr = secure ? new GlideRecordSecure(tableName) : new GlideRecord(tableName);
+
+            // Validate table exists and is accessible
+            if (!gr.isValid()) {
+                gs.warn(this.logSource + '.updateRecord: Table "' + tableName + '" is not valid or accessible.');
+                return null;
+            }
+
+            if (!this._getRecord(gr, recordIdentifier, secure)) {
+                gs.info(this.logSource + '.updateRecord: Record with identifier ' + this._describeIdentifier(recordIdentifier) + ' not found in table ' + tableName);
+                return null;
+            }
+
+            var result = {
+                status: 'unchanged',
+                sysId: gr.getUniqueValue(),
+                diff: [],
+                errors: []
+            };
+
+            if (secure && !gr.canWrite()) {
+                result.status = 'rejected';
+                result.errors.push(this._changeError(null, 'WRITE_DENIED', 'The record cannot be updated by the current user.'));
+                return result;
+            }
+
+            var skipped = this._redactedFieldNames(changes.redaction_report);
+            for (var fieldName in changes) {
+                if (this.RECORD_DATA_KEYS.indexOf(fieldName) !== -1 || skipped.indexOf(fieldName) !== -1) {
+                    continue;
+                }
+
+                var change = this._applyChange(gr, tableName, fieldName, changes[fieldName], secure);
+                if (change.error) {
+                    result.errors.push(change.error);
+                } else if (change.entry) {
+                    result.diff.push(change.entry);
+                }
+            }
+
+            if (result.errors.length) {
+                result.status = 'rejected';
+            } else if (result.diff.length && options.dryRun) {
+                result.status = 'dry_run';
+            } else if (result.diff.length) {
+                if (gr.update()) {
+                    result.status = 'updated';
+                    this.clearCache();
+                } else {
+                    result.status = 'failed';
+                    result.errors.push(this._changeError(null, 'UPDATE_FAILED', 'The record could not be saved.'));
+                }
+            }
+
+            return result;
+        } catch (e) {
+            gs.error(this.logSource + '.updateRecord: Error updating record: ' + e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Returns the field-by-field diff updateRecord would apply, without writing. Same as updateRecord
+     * with the dryRun option.
+     *
+     * @param {string} tableName - The name of the table containing the record.
+     * @param {string|object} recordIdentifier - The sys_id or another identifier of the record.
+     * @param {object} changes - The new values: {field: {value, append}}.
+     * @param {object} [options] - The options of updateRecord.
+     * @returns {object} - {status, sysId, diff, errors}, status being 'dry_run', 'unchanged' or 'rejected'.
+     *                     Returns null if the record is not found or input is invalid.
+     */
+    diffRecord: function(tableName, recordIdentifier, changes, options) {
+        var diffOptions = {};
+        for (var option in options) {
+            diffOptions[option] = options[option];
+        }
+        diffOptions.dryRun = true;
+
+        return this.updateRecord(tableName, recordIdentifier, changes, diffOptions);
+    },
+
+    /**
+     * Resolves a record identifier to a sys_id. Every method of this class resolves identifiers this way.
+     *
+     * A string identifier is first tried as a sys_id, then against the identifier fields of the table in order:
+     * the fields set with setIdentifierFields or in the record_utils.identifier_fields system property
+     * ({table: [fields]}), or DEFAULT_IDENTIFIER_FIELDS, followed by number and the table's display field.
+     * Identifier fields of a parent table (e.g. cmdb_ci) apply to the tables extending it. An object identifier
+     * such as {email: 'abel.tuter@example.com'} matches on all of its fields.
+     *
+     * An identifier matching more than one record is ambiguous and is not resolved.
+     *
+     * @param {string} tableName - The name of the table containing the record.
+     * @param {string|object} recordIdentifier - A sys_id, another identifier value or {field: value}.
+     * @param {object} [options] - {boolean} secure - Resolves with GlideRecordSecure, so records the user cannot
+     *                             read are reported as not found.
+     * @returns {object} - {status, sysId, field, matches}. status is 'found', 'not_found' or 'ambiguous';
+     *                    field is the field that matched and matches lists the matching sys_ids when ambiguous.
+     *                    Returns null if input is invalid.
+     */
+    resolveIdentifier: function(tableName, recordIdentifier, options) {
+        if (!this._validateInput(tableName, recordIdentifier)) {
+            return null;
+        }
+
+        try {
+            return this._resolveIdentifier(tableName, recordIdentifier, !!(options && options.secure));
+        } catch (e) {
+            gs.error(this.logSource + '.resolveIdentifier: Error resolving identifier: ' + e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Sets the fields used to resolve identifiers of a table for this instance, in place of the configured ones.
+     *
+     * @param {string} tableName - The table name. Also applies to the tables extending it.
+     * @param {string[]|string} fieldNames - The identifier fields, in the order they are tried.
+     */
+    setIdentifierFields: function(tableName, fieldNames) {
+        this._identifierFields[tableName] = this._toList(fieldNames);
+        if (this._cache) {
+            this._cache.identifiers = {};
+        }
+    },
+
+    /**
+     * Empties the cache of an instance created with {cache: true}, e.g. after records were updated.
+     */
+    clearCache: function() {
+        if (this._cache) {
+            this._cache = { records: {}, identifiers: {} };
+        }
+    },
+
+    /**
+     * Retrieves the short description for a specific record.
+     *
+     * @param {string} tableName - The name of the table containing the record.
+     * @param {string} recordIdentifier - The sys_id or record number of the record to retrieve.
+     * @returns {string} - The short description of the record.
+     *                    Returns null if the record is not found, input is invalid, or short_description field doesn't exist.
+     */
+    getShortDescription: function(tableName, recordIdentifier) {
+        // Input validation
+        if (!this._validateInput(tableName, recordIdentifier)) {
+            return null;
+        }
+
+        try {
+            var gr = new GlideRecord(tableName);
+            
+            // Validate table exists and is accessible
+            if (!gr.isValid()) {
+                gs.warn(this.logSource + '.getShortDescription: Table "' + tableName + '" is not valid or accessible.');
+                return null;
+            }
+
+            // Validate short_description field exists on the table
+            if (!gr.isValidField('short_description')) {
+                gs.warn(this.logSource + '.getShortDescription: Field "short_description" does not exist on table "' + tableName + '".');
+                return null;
+            }
+
+            // Get the record using either sys_id or record number
+            var recordFound = this._getRecord(gr, recordIdentifier);
+            
+            if (!recordFound) {
+                gs.info(this.logSource + '.getShortDescription: Record with identifier ' + this._describeIdentifier(recordIdentifier) + ' not found in table ' + tableName);
+                return null;
+            }
+
+            // Return the short description
+            return gr.getValue('short_description');
+        } catch (e) {
+            gs.error(this.logSource + '.getShortDescription: Error retrieving short description: ' + e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Private method shared by findRelatedRecords and findRelatedRecordsPage.
+     *
+     * @param {string} methodName - The public method name, used in log messages.
+     * @param {boolean} countAll - If true, counts every matching record for the page's totalCount.
+     * @returns {object} - {records, totalCount, offset, limit, hasMore}. totalCount is null unless countAll is set.
+     */
+    _queryRelatedRecords: function(methodName, tableName, referenceFieldName, targetRecordIdentifier, targetTableName, options, countAll) {
+        // Handle optional parameters
+        if (typeof targetTableName === 'boolean' || (targetTableName && typeof targetTableName === 'object')) {
+            options = targetTableName;
+            targetTableName = null;
+        }
+
+        var queryOptions = this._normalizeOptions(options);
+        var page = {
+            records: [],
+            totalCount: countAll ? 0 : null,
+            offset: queryOptions.offset || 0,
+            limit: queryOptions.limit || null,
+            hasMore: false
+        };
+
+        // Input validation
+        if (!this._validateInput(tableName, targetRecordIdentifier) || !referenceFieldName ||
+            !this._validateWindow(queryOptions, methodName)) {
+            return page;
+        }
+
+        try {
+            var gr = this._newGlideRecord(tableName, queryOptions);
+            
+            // Validate table exists and is accessible
+            if (!gr.isValid()) {
+                gs.warn(this.logSource + '.' + methodName + ': Table "' + tableName + '" is not valid or accessible.');
+                return page;
+            }
+
+            // Validate reference field exists on the table
+            if (!gr.isValidField(referenceFieldName)) {
+                gs.warn(this.logSource + '.' + methodName + ': Field "' + referenceFieldName + 
+                      '" does not exist on table "' + tableName + '".');
+                return page;
+            }
+
+            // If we have another identifier than a sys_id, we need to resolve it on the target table first
+            var targetSysId = targetRecordIdentifier;
+            if (!this._isSysId(targetRecordIdentifier)) {
+                var resolution = targetTableName ?
+                    this._resolveIdentifier(targetTableName, targetRecordIdentifier, queryOptions.secure) : null;
+                if (resolution && resolution.status === 'found') {
+                    targetSysId = resolution.sysId;
+                } else if (targetTableName || typeof targetRecordIdentifier !== 'string') {
+                    gs.warn(this.logSource + '.' + methodName + ': Could not resolve record identifier ' + 
+                          this._describeIdentifier(targetRecordIdentifier) + ' in table ' + targetTableName);
+                    return page;
+                }
+            }
+
+            // Query for related records
+            gr.addQuery(referenceFieldName, targetSysId);
+            if (!this._applyEncodedQuery(gr, queryOptions.encodedQuery, methodName) ||
+                !this._applyOrdering(gr, queryOptions, methodName)) {
+                return page;
+            }
+
+            // The total is needed for the page, and as the window end when only an offset is given.
+            // Secure counts read every record, so they stop one record past the page.
+            var totalCount = null;
+            if (countAll || (page.offset && !page.limit)) {
+                totalCount = this._countRecords(tableName, referenceFieldName, targetSysId, queryOptions,
+                    queryOptions.secure && page.limit ? page.offset + page.limit + 1 : null);
+            }
+
+            if (page.offset) {
+                gr.chooseWindow(page.offset, page.offset + (page.limit || totalCount));
+            } else if (page.limit) {
+                gr.setLimit(page.limit);
+            }
+            gr.query();
+
+            gs.debug(this.logSource + '.' + methodName + ': Querying table ' + tableName + 
+                   ' for records where ' + referenceFieldName + ' = ' + targetSysId + 
+                   '. Found ' + gr.getRowCount() + ' records.');
+
+            // Collect data for each related record
+            while (gr.next()) {
+                var recordData = this._collectRecordData(gr, queryOptions);
+                this._cacheRecord(tableName, recordData, queryOptions);
+                page.records.push(recordData);
+            }
+
+            if (countAll) {
+                page.totalCount = totalCount;
+                page.hasMore = page.offset + page.records.length < totalCount;
+            }
+
+            return page;
+        } catch (e) {
+            gs.error(this.logSource + '.' + methodName + ': Error querying table: ' + e.message);
+            page.records = [];
+            return page;
+        }
+    },
+
+    /**
+     * Private method shared by getJournalEntries, getAuditHistory and getAttachments to query a table
+     * holding history rows for a record.
+     *
+     * @param {string} methodName - The public method name, used in log messages.
+     * @param {object} source - {table, tableField, documentField, elementField, fieldKey, redactKeys, collect}:
+     *                          the history table, its fields holding the record's table, sys_id and element,
+     *                          the result keys holding the record's field name and the values to redact, and a
+     *                          function returning the result object for the current row.
+     * @returns {object[]} - The collected rows, oldest first unless newestFirst is set.
+     */
+    _queryHistory: function(methodName, tableName, recordIdentifier, options, source) {
+        var results = [];
+        options = options || {};
+
+        // Input validation
+        if (!this._validateInput(tableName, recordIdentifier) || !this._validateWindow(options, methodName)) {
+            return results;
+        }
+
+        try {
+            var secure = !!options.secure;
+            var redaction = this._getRedactionRules(options.redact);
+            var gr = secure ? new GlideRecordSecure(tableName) : new GlideRecord(tableName);
+            
+            // Validate table exists and is accessible
+            if (!gr.isValid()) {
+                gs.warn(this.logSource + '.' + methodName + ': Table "' + tableName + '" is not valid or accessible.');
+                return results;
+            }
+
+            // The record is looked up first so record numbers can be used and missing records are reported
+            if (!this._getRecord(gr, recordIdentifier, secure)) {
+                gs.info(this.logSource + '.' + methodName + ': Record with identifier ' + this._describeIdentifier(recordIdentifier) + ' not found in table ' + tableName);
+                return results;
+            }
+
+            // History rows hold the record's own class, which differs from tableName for a parent table
+            var className = String(gr.getRecordClassName());
+            var history = new GlideRecord(source.table);
+            history.addQuery(source.tableField, className);
+            history.addQuery(source.documentField, gr.getUniqueValue());
+
+            var elements = this._toList(options.elements);
+            if (elements.length) {
+                history.addQuery(source.elementField, 'IN', elements.join(','));
+            }
+
+            var bounds = [['from', '>='], ['to', '<=']];
+            for (var i = 0; i < bounds.length; i++) {
+                var bound = options[bounds[i][0]];
+                if (!bound) {
+                    continue;
+                }
+
+                var dateTime = new GlideDateTime(String(bound));
+                if (!dateTime.isValid()) {
+                    gs.warn(this.logSource + '.' + methodName + ': Invalid ' + bounds[i][0] + ' date-time "' + bound + '" provided.');
+                    return results;
+                }
+                history.addQuery('sys_created_on', bounds[i][1], dateTime.getValue());
+            }
+
+            if (options.newestFirst) {
+                history.orderByDesc('sys_created_on');
+            } else {
+                history.orderBy('sys_created_on');
+            }
+            // Entries left out by secure do not count towards the limit
+            if (options.limit && !(secure && source.fieldKey)) {
+                history.setLimit(options.limit);
+            }
+            history.query();
+
+            while (!(options.limit && results.length >= options.limit) && history.next()) {
+                var entry = source.collect(history);
+                var fieldName = source.fieldKey ? entry[source.fieldKey] : null;
+
+                // History rows carry the values of the record's fields, so the field ACLs of the record apply
+                if (secure && fieldName && !(gr.isValidField(fieldName) && gr.getElement(fieldName).canRead())) {
+                    continue;
+                }
+
+                if (redaction) {
+                    for (var j = 0; j < source.redactKeys.length; j++) {
+                        var field = {
+                            value: entry[source.redactKeys[j]],
+                            display_value: entry[source.redactKeys[j]]
+                        };
+                        this._redactField(className, fieldName, field, redaction, []);
+                        entry[source.redactKeys[j]] = field.value;
+                    }
+                }
+
+                results.push(entry);
+            }
+
+            return results;
+        } catch (e) {
+            gs.error(this.logSource + '.' + methodName + ': Error querying ' + source.table + ': ' + e.message);
+            return results;
+        }
+    },
+
+    /**
+     * Private method to convert the excludeEmpty flag or a query options object into query options.
+     *
+     * @param {boolean|object} [options] - The excludeEmpty flag or query options.
+     * @returns {object} - Query options with fields, orderBy and orderByDesc as arrays and the redact
+     *                     option compiled into redaction rules.
+     */
+    _normalizeOptions: function(options) {
+        if (!options || typeof options !== 'object') {
+            return {
+                excludeEmpty: !!options,
+                fields: null,
+                orderBy: [],
+                orderByDesc: [],
+                secure: false,
+                redaction: null
+            };
+        }
+
+        return {
+            excludeEmpty: !!options.excludeEmpty,
+            fields: options.fields ? this._toList(options.fields) : null,
+            encodedQuery: options.encodedQuery ? String(options.encodedQuery) : '',
+            orderBy: this._toList(options.orderBy),
+            orderByDesc: this._toList(options.orderByDesc),
+            limit: options.limit,
+            offset: options.offset,
+            secure: !!options.secure,
+            redaction: this._getRedactionRules(options.redact)
+        };
+    },
+
+    /**
+     * Private method to read a comma separated string or an array as a list of trimmed names.
+     */
+    _toList: function(value) {
+        if (!value) {
+            return [];
+        }
+
+        var items = typeof value === 'string' ? value.split(',') : value;
+        var list = [];
+        for (var i = 0; i < items.length; i++) {
+            var item = String(items[i]).trim();
+            if (item) {
+                list.push(item);
+            }
+        }
+        return list;
+    },
+
+    /**
+     * Private method to check that limit and offset are non-negative integers.
+     */
+    _validateWindow: function(queryOptions, methodName) {
+        var bounds = ['limit', 'offset'];
+        for (var i = 0; i < bounds.length; i++) {
+            var bound = queryOptions[bounds[i]];
+            if (bound === undefined || bound === null) {
+                continue;
+            }
+
+            if (typeof bound !== 'number' || bound < 0 || Math.floor(bound) !== bound) {
+                gs.warn(this.logSource + '.' + methodName + ': Invalid ' + bounds[i] + ' "' + bound + '" provided.');
+                return false;
+            }
+        }
+        return true;
+    },
+
+    /**
+     * Private method to add an encoded query to a GlideRecord. Invalid encoded queries are rejected
+     * rather than ignored, as the platform would otherwise drop the invalid conditions and widen the query.
+     *
+     * @returns {boolean} - False if the encoded query is not valid for the table.
+     */
+    _applyEncodedQuery: function(gr, encodedQuery, methodName) {
+        if (!encodedQuery) {
+            return true;
+        }
+
+        if (!gr.isEncodedQueryValid(encodedQuery)) {
+            gs.warn(this.logSource + '.' + methodName + ': Encoded query "' + encodedQuery + 
+                  '" is not valid for table "' + gr.getTableName() + '".');
+            return false;
+        }
+
+        gr.addEncodedQuery(encodedQuery);
+        return true;
+    },
+
+    /**
+     * Private method to apply the orderBy and orderByDesc options to a GlideRecord.
+     *
+     * @returns {boolean} - False if a sort field does not exist on the table.
+     */
+    _applyOrdering: function(gr, queryOptions, methodName) {
+        var orderings = [queryOptions.orderBy, queryOptions.orderByDesc];
+        for (var i = 0; i < orderings.length; i++) {
+            for (var j = 0; j < orderings[i].length; j++) {
+                var fieldName = orderings[i][j];
+                if (!gr.isValidField(fieldName)) {
+                    gs.warn(this.logSource + '.' + methodName + ': Sort field "' + fieldName + 
+                          '" does not exist on table "' + gr.getTableName() + '".');
+                    return false;
+                }
+
+                if (i === 0) {
+                    gr.orderBy(fieldName);
+                } else {
+                    gr.orderByDesc(fieldName);
+                }
+            }
+        }
+        return true;
+    },
+
+    /**
+     * Private method to count the records referencing a target record that match the encoded query.
+     * With the secure option the readable records are counted one by one, as GlideAggregate does not
+     * apply read ACLs.
+     *
+     * @param {number} [maxCount] - Stops counting readable records at this number.
+     * @returns {number} - The number of matching records, at most maxCount with the secure option.
+     */
+    _countRecords: function(tableName, referenceFieldName, targetSysId, queryOptions, maxCount) {
+        if (queryOptions.secure) {
+            var gr = new GlideRecordSecure(tableName);
+            gr.addQuery(referenceFieldName, targetSysId);
+            if (queryOptions.encodedQuery) {
+                gr.addEncodedQuery(queryOptions.encodedQuery);
+            }
+            gr.query();
+
+            var count = 0;
+            while ((!maxCount || count < maxCount) && gr.next()) {
+                count++;
+            }
+            return count;
+        }
+
+        var ga = new GlideAggregate(tableName);
+        ga.addQuery(referenceFieldName, targetSysId);
+        if (queryOptions.encodedQuery) {
+            ga.addEncodedQuery(queryOptions.encodedQuery);
+        }
+        ga.addAggregate('COUNT');
+        ga.query();
+
+        return ga.next() ? parseInt(ga.getAggregate('COUNT'), 10) : 0;
+    },
+
+    /**
+     * Private method to create a GlideRecordSecure with the secure option, a GlideRecord otherwise.
+     */
+    _newGlideRecord: function(tableName, queryOptions) {
+        return queryOptions.secure ? new GlideRecordSecure(tableName) : new GlideRecord(tableName);
+    },
+
+    /**
+     * Private method to turn the redact option into redaction rules.
+     *
+     * Rules have the form {fields, patterns}:
+     *   fields - Field names whose values are replaced entirely, per table name. '*' applies to every table:
+     *            {"sys_user": ["phone", "mobile_phone"], "*": ["u_national_id"]}.
+     *   patterns - Values are masked wherever these patterns match. Built-in patterns are 'email', 'phone'
+     *              (North American numbers) and 'card' (13 to 19 digits passing the Luhn check). Custom patterns
+     *              are given as {name, pattern, placeholder}. Defaults to the built-in patterns.
+     *
+     * @param {boolean|object} redact - true for the rules of the record_utils.redaction_rules system property,
+     *                                  or the rules themselves.
+     * @returns {object} - {fields, patterns: [{name, regex, placeholder, luhn}]}, or null if redaction is off.
+     */
+    _getRedactionRules: function(redact) {
+        if (!redact) {
+            return null;
+        }
+
+        if (redact === true) {
+            if (!this._propertyRedactionRules) {
+                var config = {};
+                try {
+                    config = JSON.parse(gs.getProperty(this.REDACTION_PROPERTY, '{}'));
+                } catch (e) {
+                    gs.error(this.logSource + '._getRedactionRules: ' + this.REDACTION_PROPERTY + ' is not valid JSON: ' + e.message);
+                }
+                this._propertyRedactionRules = this._compileRedactionRules(config);
+            }
+            return this._propertyRedactionRules;
+        }
+
+        return this._compileRedactionRules(redact);
+    },
+
+    /**
+     * Private method to compile the patterns of redaction rules into regular expressions.
+     */
+    _compileRedactionRules: function(config) {
+        var rules = {
+            fields: config.fields || {},
+            patterns: []
+        };
+
+        var patterns = config.patterns === undefined ? this.DEFAULT_REDACTION_PATTERNS : config.patterns;
+        for (var i = 0; i < patterns.length; i++) {
+            var definition = typeof patterns[i] === 'string' ? this.REDACTION_PATTERNS[patterns[i]] : patterns[i];
+            if (!definition || !definition.pattern) {
+                gs.warn(this.logSource + '._getRedactionRules: Unknown redaction pattern "' + patterns[i] + '".');
+                continue;
+            }
+
+            var name = typeof patterns[i] === 'string' ? patterns[i] : definition.name || 'custom';
+            rules.patterns.push({
+                name: name,
+                regex: new RegExp(definition.pattern, 'g'),
+                placeholder: definition.placeholder || '[REDACTED ' + name.toUpperCase() + ']',
+                luhn: !!definition.luhn
+            });
+        }
+
+        return rules;
+    },
+
+    /**
+     * Private method to apply redaction rules to one field of record data.
+     *
+     * @param {string} tableName - The table of the record.
+     * @param {string} fieldName - The field name.
+     * @param {object} field - {value, display_value}, updated in place.
+     * @param {object} rules - Compiled redaction rules.
+     * @param {object[]} redacted - The redaction report entries, {field, rule, count} is added for each rule applied.
+     */
+    _redactField: function(tableName, fieldName, field, rules, redacted) {
+        var tableRules = this._toList(rules.fields[tableName]).concat(this._toList(rules.fields['*']));
+        if (tableRules.indexOf(fieldName) !== -1) {
+            if (field.value !== null && field.value !== '') {
+                field.value = this.REDACTED_FIELD_PLACEHOLDER;
+                field.display_value = this.REDACTED_FIELD_PLACEHOLDER;
+                redacted.push({ field: fieldName, rule: 'field', count: 1 });
+            }
+            return;
+        }
+
+        for (var i = 0; i < rules.patterns.length; i++) {
+            var rule = rules.patterns[i];
+            var valueResult = this._maskPattern(field.value, rule);
+            var displayResult = this._maskPattern(field.display_value, rule);
+
+            field.value = valueResult.text;
+            field.display_value = displayResult.text;
+
+            var count = Math.max(valueResult.count, displayResult.count);
+            if (count) {
+                redacted.push({ field: fieldName, rule: rule.name, count: count });
+            }
+        }
+    },
+
+    /**
+     * Private method to replace the matches of a redaction pattern in a text. sys_id values are left as is.
+     *
+     * @returns {object} - {text, count}.
+     */
+    _maskPattern: function(text, rule) {
+        var result = {
+            text: text,
+            count: 0
+        };
+
+        if (text === null || text === undefined || text === '' || /^[0-9a-f]{32}$/.test(text)) {
+            return result;
+        }
+
+        var self = this;
+        result.text = String(text).replace(rule.regex, function(match) {
+            if (rule.luhn && !self._passesLuhn(match.replace(/\D/g, ''))) {
+                return match;
+            }
+            result.count++;
+            return rule.placeholder;
+        });
+
+        return result;
+    },
+
+    /**
+     * Private method to check a digit string with the Luhn checksum used by card numbers.
+     */
+    _passesLuhn: function(digits) {
+        var sum = 0;
+        for (var i = 0; i < digits.length; i++) {
+            var digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) {
+                    digit -= 9;
+                }
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    },
+
+    /**
+     * Private method to turn a getRecordGraph expansion into a tree of nodes, merging dot-walk paths
+     * that share a prefix.
+     *
+     * @param {object} expansion - {references, relatedLists}.
+     * @returns {object} - {references: {fieldName: node}, relatedLists: [{name, table, referenceField, options, node}]}.
+     */
+    _parseExpansion: function(expansion) {
+        var node = {
+            references: {},
+            relatedLists: []
+        };
+
+        var paths = this._toList(expansion.references);
+        for (var i = 0; i < paths.length; i++) {
+            var current = node;
+            var segments = paths[i].split('.');
+            for (var j = 0; j < segments.length; j++) {
+                if (!current.references[segments[j]]) {
+                    current.references[segments[j]] = this._parseExpansion({});
+                }
+                current = current.references[segments[j]];
+            }
+        }
+
+        var relatedLists = expansion.relatedLists || [];
+        for (var k = 0; k < relatedLists.length; k++) {
+            var definition = relatedLists[k];
+            if (!definition.table || !definition.referenceField) {
+                gs.warn(this.logSource + '.getRecordGraph: Related list definitions need a table and a referenceField.');
+                continue;
+            }
+
+            node.relatedLists.push({
+                name: definition.name || definition.table,
+                table: definition.table,
+                referenceField: definition.referenceField,
+                options: definition.options || {},
+                node: this._parseExpansion(definition)
+            });
+        }
+
+        return node;
+    },
+
+    /**
+     * Private method to expand the reference fields and related lists of one record of the graph.
+     *
+     * @param {string} tableName - The table of the record.
+     * @param {object} recordData - The record, as returned by _collectRecordData. Expansions are added to it.
+     * @param {object} node - The expansion node for the record.
+     * @param {object} state - Limits, record budget and caches shared by the whole graph.
+     * @param {number} depth - Number of hops from the root to the record.
+     * @param {string[]} path - 'table:sys_id' of the records from the root to this record.
+     */
+    _expandGraphNode: function(tableName, recordData, node, state, depth, path) {
+        var fieldNames = Object.keys(node.references);
+        if ((fieldNames.length || node.relatedLists.length) && depth >= state.maxDepth) {
+            gs.warn(this.logSource + '.getRecordGraph: Not expanding ' + tableName + ':' + recordData.sys_id + 
+                  ' beyond the maximum depth of ' + state.maxDepth + '.');
+            return;
+        }
+
+        for (var i = 0; i < fieldNames.length; i++) {
+            var fieldName = fieldNames[i];
+            var field = recordData[fieldName];
+            if (!field || !field.value) {
+                continue;
+            }
+
+            var referenceTable = this._getReferenceTable(tableName, fieldName, state);
+            if (!referenceTable) {
+                continue;
+            }
+
+            var key = referenceTable + ':' + field.value;
+            if (path.indexOf(key) !== -1) {
+                field.cycle = true;
+                continue;
+            }
+
+            if (state.remaining <= 0) {
+                state.truncated = true;
+                return;
+            }
+
+            var childNode = node.references[fieldName];
+            var referenced = this.getRecordAllFields(referenceTable, String(field.value),
+                this._graphOptions(referenceTable, childNode, state));
+            if (!referenced) {
+                continue;
+            }
+            state.remaining--;
+
+            field.record = referenced;
+            this._expandGraphNode(referenceTable, referenced, childNode, state, depth + 1, path.concat(key));
+        }
+
+        for (var j = 0; j < node.relatedLists.length; j++) {
+            var relatedList = node.relatedLists[j];
+            recordData.related_lists = recordData.related_lists || {};
+            recordData.related_lists[relatedList.name] = [];
+
+            if (state.remaining <= 0) {
+                state.truncated = true;
+                return;
+            }
+
+            // The related list gets at most the remaining record budget
+            var options = this._graphOptions(relatedList.table, relatedList.node, state);
+            var fromBudget = !relatedList.options.limit || relatedList.options.limit > state.remaining;
+            for (var option in relatedList.options) {
+                // A related list cannot turn off the secure and redact options of the graph
+                if (option !== 'fields' && !((option === 'secure' || option === 'redact') && options[option])) {
+                    options[option] = relatedList.options[option];
+                }
+            }
+            if (relatedList.options.fields) {
+                options.fields = this._toList(relatedList.options.fields).concat(Object.keys(relatedList.node.references));
+            }
+            options.limit = fromBudget ? state.remaining : relatedList.options.limit;
+
+            var page = this.findRelatedRecordsPage(relatedList.table, relatedList.referenceField, recordData.sys_id, options);
+            state.remaining -= page.records.length;
+            if (fromBudget && page.hasMore) {
+                state.truncated = true;
+            }
+
+            for (var k = 0; k < page.records.length; k++) {
+                var related = page.records[k];
+                var relatedKey = relatedList.table + ':' + related.sys_id;
+                if (path.indexOf(relatedKey) !== -1) {
+                    related.cycle = true;
+                } else {
+                    this._expandGraphNode(relatedList.table, related, relatedList.node, state, depth + 1, path.concat(relatedKey));
+                }
+                recordData.related_lists[relatedList.name].push(related);
+            }
+        }
+    },
+
+    /**
+     * Private method to build the query options used for one record or related list of the graph.
+     * The expanded reference fields are added to the table's field whitelist.
+     */
+    _graphOptions: function(tableName, node, state) {
+        var options = {
+            excludeEmpty: state.excludeEmpty,
+            secure: state.secure,
+            redact: state.redact
+        };
+
+        if (state.fields[tableName]) {
+            options.fields = this._toList(state.fields[tableName]).concat(Object.keys(node.references));
+        }
+
+        return options;
+    },
+
+    /**
+     * Private method to find the table a reference field points to.
+     *
+     * @returns {string} - The referenced table name, or null if the field is not a reference field.
+     */
+    _getReferenceTable: function(tableName, fieldName, state) {
+        var cacheKey = tableName + '.' + fieldName;
+        if (state.referenceTables.hasOwnProperty(cacheKey)) {
+            return state.referenceTables[cacheKey];
+        }
+
+        var referenceTable = null;
+        var gr = new GlideRecord(tableName);
+        if (gr.isValidField(fieldName) && gr.getElement(fieldName).getED().isReference()) {
+            referenceTable = String(gr.getElement(fieldName).getReferenceTable());
+        } else {
+            gs.warn(this.logSource + '.getRecordGraph: Field "' + fieldName + '" on table "' + tableName + 
+                  '" is not a reference field and cannot be expanded.');
+        }
+
+        state.referenceTables[cacheKey] = referenceTable;
+        return referenceTable;
+    },
+
+    /**
+     * Private method to join the header and the blocks that fit in the token budget, in order. A related
+     * list heading is added before the first of its records that is kept.
+     *
+     * @returns {string} - The prompt text.
+     */
+    _applyTokenBudget: function(header, blocks, tokenBudget) {
+        var lines = [header];
+        var used = this._estimateTokens(header);
+        var omitted = 0;
+        var currentHeading = null;
+
+        for (var i = 0; i < blocks.length; i++) {
+            var block = blocks[i];
+            var text = block.text;
+            if (block.heading && block.heading !== currentHeading) {
+                text = block.heading + '\n' + text;
+            }
+
+            var cost = this._estimateTokens(text);
+            if (tokenBudget && used + cost > tokenBudget) {
+                omitted++;
+                continue;
+            }
+
+            if (block.heading) {
+                currentHeading = block.heading;
+            }
+            lines.push(text);
+            used += cost;
+        }
+
+        if (omitted) {
+            lines.push('(' + omitted + ' more items left out to fit the token budget)');
+        }
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Private method to render one related record as a list item with its fields indented below.
+     */
+    _promptRelatedRecord: function(tableName, recordData, referenceField, settings) {
+        var lines = ['- ' + recordData.display_value];
+
+        var fieldNames = this._promptFieldNames(recordData, settings);
+        for (var i = 0; i < fieldNames.length; i++) {
+            if (fieldNames[i] === referenceField) {
+                continue;
+            }
+            lines.push(this._promptField(tableName, fieldNames[i], recordData[fieldNames[i]], settings, '  '));
+        }
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Private method to render one field as 'Label: value'. Multi-line values are indented below the label,
+     * and an expanded reference is rendered as the fields of the referenced record, indented below the field.
+     */
+    _promptField: function(tableName, fieldName, field, settings, indent) {
+        var metadata = this._getTableMetadata(tableName);
+        var fieldMetadata = metadata.fields[fieldName] || { label: fieldName, type: '' };
+        var value = this._promptValue(field, fieldMetadata.type, settings);
+
+        var text;
+        if (value.indexOf('\n') === -1) {
+            text = indent + fieldMetadata.label + ': ' + value;
+        } else {
+            text = indent + fieldMetadata.label + ': |';
+            var valueLines = value.split('\n');
+            for (var j = 0; j < valueLines.length; j++) {
+                text += '\n' + (valueLines[j] ? indent + '  ' + valueLines[j] : '');
+            }
+        }
+
+        if (field.record && fieldMetadata.reference) {
+            var referenced = field.record;
+            var fieldNames = this._promptFieldNames(referenced, settings);
+            for (var i = 0; i < fieldNames.length; i++) {
+                text += '\n' + this._promptField(fieldMetadata.reference, fieldNames[i], referenced[fieldNames[i]], settings, indent + '  ');
+            }
+        }
+
+        return text;
+    },
+
+    /**
+     * Private method to get the text of a field: its display value, stripped of HTML and cut to
+     * maxFieldLength characters for journal and HTML fields.
+     */
+    _promptValue: function(field, fieldType, settings) {
+        var value = field.display_value || field.value || '';
+        value = String(value).replace(/\r\n/g, '\n');
+
+        if (this.HTML_TYPES.indexOf(fieldType) !== -1) {
+            value = this._stripHtml(value);
+        }
+
+        if (this.LONG_TEXT_TYPES.indexOf(fieldType) !== -1 && value.length > settings.maxFieldLength) {
+            value = value.substring(0, settings.maxFieldLength).replace(/\s+$/, '') + '... [truncated]';
+        }
+
+        return value.replace(/^\s+|\s+$/g, '');
+    },
+
+    /**
+     * Private method to list the fields of record data to render: populated fields, without system fields
+     * unless requested, with the priority fields first.
+     */
+    _promptFieldNames: function(recordData, settings) {
+        var prioritized = [];
+        var others = [];
+
+        for (var fieldName in recordData) {
+            var field = recordData[fieldName];
+            if (!field || typeof field !== 'object' || !field.hasOwnProperty('value')) {
+                continue;
+            }
+            if (!settings.includeSystemFields && fieldName.indexOf('sys_') === 0) {
+                continue;
+            }
+            if ((field.value === null || field.value === '') && !field.display_value) {
+                continue;
+            }
+
+            if (settings.fieldPriority.indexOf(fieldName) !== -1) {
+                prioritized.push(fieldName);
+            } else {
+                others.push(fieldName);
+            }
+        }
+
+        prioritized.sort(function(a, b) {
+            return settings.fieldPriority.indexOf(a) - settings.fieldPriority.indexOf(b);
+        });
+
+        return prioritized.concat(others);
+    },
+
+    /**
+     * Private method to convert HTML to plain text, keeping line breaks between blocks and list items.
+     */
+    _stripHtml: function(html) {
+        return html
+            .replace(/<(br|\/p|\/div|\/li|\/h[1-6]|\/tr)\s*\/?>/gi, '\n')
+            .replace(/<li[^>]*>/gi, '- ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n');
+    },
+
+    /**
+     * Private method to estimate the number of tokens of a text from its length.
+     */
+    _estimateTokens: function(text) {
+        return Math.ceil(text.length / this.CHARS_PER_TOKEN);
+    },
+
+    /**
+     * Private method to get the label of a table and the label, type and reference table of its fields.
+     * Results are cached for the lifetime of the instance.
+     *
+     * @returns {object} - {label, fields: {fieldName: {label, type, reference}}}.
+     */
+    _getTableMetadata: function(tableName) {
+        if (this._tableMetadata.hasOwnProperty(tableName)) {
+            return this._tableMetadata[tableName];
+        }
+
+        var metadata = {
+            label: tableName,
+            fields: {}
+        };
+
+        var gr = new GlideRecord(tableName);
+        if (gr.isValid()) {
+            gr.initialize();
+            metadata.label = String(gr.getClassDisplayValue() || tableName);
+
+            var tableFields = gr.getFields();
+            for (var i = 0; i < tableFields.size(); i++) {
+                var glideElement = tableFields.get(i);
+                var descriptor = glideElement.getED();
+                metadata.fields[String(glideElement.getName())] = {
+                    label: String(glideElement.getLabel()),
+                    type: String(descriptor.getInternalType()),
+                    reference: descriptor.isReference() ? String(glideElement.getReferenceTable()) : null
+                };
+            }
+        }
+
+        this._tableMetadata[tableName] = metadata;
+        return metadata;
+    },
+
+    /**
+     * Private method to validate one change of updateRecord and set it on the record.
+     *
+     * @returns {object} - {entry} with the diff entry of a changed field, {error} for an invalid change,
+     *                     or {} when the value is unchanged.
+     */
+    _applyChange: function(gr, tableName, fieldName, change, secure) {
+        if (!change || typeof change !== 'object' || !change.hasOwnProperty('value')) {
+            return { error: this._changeError(fieldName, 'INVALID_VALUE', 'Changes must have the form {value}.') };
+        }
+
+        if (!gr.isValidField(fieldName)) {
+            return { error: this._changeError(fieldName, 'UNKNOWN_FIELD', 'Field does not exist on table ' + tableName + '.') };
+        }
+
+        var metadata = this._getTableMetadata(tableName).fields[fieldName] || {};
+        var isJournal = this.JOURNAL_TYPES.indexOf(metadata.type) !== -1;
+        var append = isJournal || !!change.append;
+        var value = change.value === null || change.value === undefined ? '' : String(change.value);
+
+        // Journal fields have no current value to compare with, only entries
+        var before = {
+            value: isJournal ? '' : String(gr.getValue(fieldName) || ''),
+            display_value: isJournal ? '' : String(gr.getDisplayValue(fieldName) || '')
+        };
+        if (append && !value) {
+            return {};
+        }
+        if (append && !isJournal && before.value) {
+            value = before.value + '\n' + value;
+        }
+        if (value === before.value) {
+            return {};
+        }
+
+        if (fieldName.indexOf('sys_') === 0) {
+            return { error: this._changeError(fieldName, 'READ_ONLY_FIELD', 'System fields cannot be updated.') };
+        }
+
+        var element = gr.getElement(fieldName);
+        if (secure && !element.canWrite()) {
+            return { error: this._changeError(fieldName, 'WRITE_DENIED', 'Field cannot be updated by the current user.') };
+        }
+
+        if (value && metadata.reference) {
+            var resolution = this._resolveIdentifier(metadata.reference, value, secure);
+            if (resolution.status !== 'found') {
+                return { error: this._changeError(fieldName, 'INVALID_REFERENCE', 'No single ' + metadata.reference + ' record matches "' + value + '".') };
+            }
+            value = resolution.sysId;
+            if (value === before.value) {
+                return {};
+            }
+        } else if (value && this.DATE_TIME_TYPES.indexOf(metadata.type) !== -1) {
+            var dateTime = new GlideDateTime(value);
+            if (!dateTime.isValid()) {
+                return { error: this._changeError(fieldName, 'INVALID_DATE', '"' + value + '" is not a valid date-time.') };
+            }
+            value = String(dateTime.getValue());
+        } else if (value) {
+            var choices = element.getChoices();
+            var choiceValues = [];
+            for (var i = 0; choices && i < choices.size(); i++) {
+                choiceValues.push(String(choices.get(i)));
+            }
+            if (choiceValues.length && choiceValues.indexOf(value) === -1) {
+                return { error: this._changeError(fieldName, 'INVALID_CHOICE', '"' + value + '" is not one of the choices ' + choiceValues.join(', ') + '.') };
+            }
+        }
+
+        gr.setValue(fieldName, value);
+
+        return {
+            entry: {
+                field: fieldName,
+                label: metadata.label || fieldName,
+                operation: append ? 'append' : 'set',
+                before: before,
+                after: {
+                    value: isJournal ? value : String(gr.getValue(fieldName) || ''),
+                    display_value: isJournal ? value : String(gr.getDisplayValue(fieldName) || '')
+                }
+            }
+        };
+    },
+
+    /**
+     * Private method to build an error entry of updateRecord.
+     */
+    _changeError: function(fieldName, code, message) {
+        return {
+            field: fieldName,
+            code: code,
+            message: message
+        };
+    },
+
+    /**
+     * Private method to list the fields a redaction_report holds as hidden or redacted.
+     */
+    _redactedFieldNames: function(report) {
+        if (!report || typeof report !== 'object') {
+            return [];
+        }
+
+        var fieldNames = (report.hidden || []).slice();
+        for (var i = 0; i < (report.redacted || []).length; i++) {
+            fieldNames.push(report.redacted[i].field);
+        }
+        return fieldNames;
+    },
+
+    /**
+     * Private method to validate common input parameters.
+     *
+     * @param {string} tableName - The name of a table.
+     * @param {string|object} recordIdentifier - A sys_id, another identifier value or {field: value}.
+     * @returns {boolean} - True if inputs are valid, false otherwise.
+     */
+    _validateInput: function(tableName, recordIdentifier) {
+        if (!tableName || typeof tableName !== 'string') {
+            gs.warn(this.logSource + ': Invalid or missing tableName provided.');
+            return false;
+        }
+
+        var isFieldIdentifier = recordIdentifier && typeof recordIdentifier === 'object' &&
+            Object.keys(recordIdentifier).length > 0;
+        if (!recordIdentifier || (typeof recordIdentifier !== 'string' && !isFieldIdentifier)) {
+            gs.warn(this.logSource + ': Invalid or missing record identifier provided.');
+            return false;
+        }
+
+        return true;
+    },
+    
+    /**
+     * Private method to get a record using its sys_id or another identifier, see resolveIdentifier.
+     * sys_ids are looked up directly, without resolving them first. Conditions already added to the
+     * GlideRecord, such as an encoded query, also apply.
+     *
+     * @param {GlideRecord} gr - A GlideRecord object for the table.
+     * @param {string|object} recordIdentifier - A sys_id, another identifier value or {field: value}.
+     * @param {boolean} [secure=false] - Resolves the identifier with GlideRecordSecure.
+     * @returns {boolean} - True if record was found, false otherwise.
+     */
+    _getRecord: function(gr, recordIdentifier, secure) {
+        var sysId = recordIdentifier;
+        if (!this._isSysId(recordIdentifier)) {
+            var resolution = this._resolveIdentifier(String(gr.getTableName()), recordIdentifier, secure);
+            if (resolution.status !== 'found') {
+                return false;
+            }
+            sysId = resolution.sysId;
+        }
+
+        gr.addQuery('sys_id', sysId);
+        gr.setLimit(1);
+        gr.query();
+        return gr.next();
+    },
+
+    /**
+     * Private method to resolve an identifier, see resolveIdentifier. Ambiguous identifiers are logged.
+     *
+     * @returns {object} - {status, sysId, field, matches}.
+     */
+    _resolveIdentifier: function(tableName, recordIdentifier, secure) {
+        var cachedSysId = this._getCachedSysId(tableName, recordIdentifier, secure);
+        if (cachedSysId) {
+            return { status: 'found', sysId: cachedSysId, field: null, matches: [cachedSysId] };
+        }
+
+        var candidates;
+        if (typeof recordIdentifier === 'object') {
+            candidates = [recordIdentifier];
+        } else {
+            candidates = [];
+            var fieldNames = this._getIdentifierFields(tableName);
+            if (this._isSysId(recordIdentifier)) {
+                fieldNames.unshift('sys_id');
+            }
+            for (var i = 0; i < fieldNames.length; i++) {
+                var candidate = {};
+                candidate[fieldNames[i]] = recordIdentifier;
+                candidates.push(candidate);
+            }
+        }
+
+        for (var j = 0; j < candidates.length; j++) {
+            var gr = secure ? new GlideRecordSecure(tableName) : new GlideRecord(tableName);
+            var matchedFields = Object.keys(candidates[j]);
+            var valid = true;
+
+            for (var k = 0; k < matchedFields.length; k++) {
+                if (!gr.isValidField(matchedFields[k])) {
+                    gs.warn(this.logSource + ': Identifier field "' + matchedFields[k] + '" does not exist on table "' + tableName + '".');
+                    valid = false;
+                    break;
+                }
+                gr.addQuery(matchedFields[k], String(candidates[j][matchedFields[k]]));
+            }
+            if (!valid) {
+                continue;
+            }
+
+            // Two rows are enough to tell a match from an ambiguous one
+            gr.setLimit(2);
+            gr.query();
+
+            var matches = [];
+            while (gr.next()) {
+                matches.push(gr.getUniqueValue());
+            }
+
+            if (matches.length === 1) {
+                this._cacheSysId(tableName, recordIdentifier, secure, matches[0]);
+                return { status: 'found', sysId: matches[0], field: matchedFields.join(','), matches: matches };
+            }
+
+            if (matches.length > 1) {
+                gs.warn(this.logSource + ': Identifier ' + this._describeIdentifier(recordIdentifier) + 
+                      ' is ambiguous in table ' + tableName + ': more than one record matches ' + matchedFields.join(',') + 
+                      ' (' + matches.join(', ') + ').');
+                return { status: 'ambiguous', sysId: null, field: matchedFields.join(','), matches: matches };
+            }
+        }
+
+        return { status: 'not_found', sysId: null, field: null, matches: [] };
+    },
+
+    /**
+     * Private method to list the fields a string identifier is matched against for a table: the configured
+     * identifier fields of the table or its closest parent, then number and the display field.
+     */
+    _getIdentifierFields: function(tableName) {
+        var configured = this._getConfiguredIdentifierFields();
+        var fieldNames = [];
+
+        var tables = new TableUtils(tableName).getTables();
+        for (var i = 0; i < tables.size(); i++) {
+            var hierarchyTable = String(tables.get(i));
+            if (configured.hasOwnProperty(hierarchyTable)) {
+                fieldNames = this._toList(configured[hierarchyTable]);
+                break;
+            }
+        }
+
+        var gr = new GlideRecord(tableName);
+        var displayField = String(gr.getDisplayName() || '');
+        var fallbacks = ['number', displayField];
+        for (var j = 0; j < fallbacks.length; j++) {
+            if (fallbacks[j] && fieldNames.indexOf(fallbacks[j]) === -1 && gr.isValidField(fallbacks[j])) {
+                fieldNames.push(fallbacks[j]);
+            }
+        }
+
+        return fieldNames;
+    },
+
+    /**
+     * Private method to merge the identifier fields from DEFAULT_IDENTIFIER_FIELDS, the system property and
+     * setIdentifierFields, later ones taking precedence per table.
+     */
+    _getConfiguredIdentifierFields: function() {
+        var configured = {};
+        var table;
+
+        for (table in this.DEFAULT_IDENTIFIER_FIELDS) {
+            configured[table] = this.DEFAULT_IDENTIFIER_FIELDS[table];
+        }
+
+        try {
+            var property = JSON.parse(gs.getProperty(this.IDENTIFIER_FIELDS_PROPERTY, '{}'));
+            for (table in property) {
+                configured[table] = property[table];
+            }
+        } catch (e) {
+            gs.error(this.logSource + '._getConfiguredIdentifierFields: ' + this.IDENTIFIER_FIELDS_PROPERTY + ' is not valid JSON: ' + e.message);
+        }
+
+        for (table in this._identifierFields) {
+            configured[table] = this._identifierFields[table];
+        }
+
+        return configured;
+    },
+
+    /**
+     * Private method to check the input of the batch methods. Invalid identifiers are added to result.notFound.
+     *
+     * @returns {Array} - The distinct valid identifiers, or null if the input is invalid.
+     */
+    _validateBatchInput: function(methodName, tableName, recordIdentifiers, result) {
+        if (!tableName || typeof tableName !== 'string') {
+            gs.warn(this.logSource + ': Invalid or missing tableName provided.');
+            result.notFound = Array.isArray(recordIdentifiers) ? recordIdentifiers.slice() : [];
+            return null;
+        }
+
+        if (!Array.isArray(recordIdentifiers)) {
+            gs.warn(this.logSource + '.' + methodName + ': Record identifiers must be an array.');
+            return null;
+        }
+
+        var identifiers = [];
+        var seen = {};
+        for (var i = 0; i < recordIdentifiers.length; i++) {
+            var identifier = recordIdentifiers[i];
+            if (!this._validateInput(tableName, identifier)) {
+                result.notFound.push(identifier);
+                continue;
+            }
+
+            var key = this._describeIdentifier(identifier);
+            if (!seen[key]) {
+                seen[key] = true;
+                identifiers.push(identifier);
+            }
+        }
+
+        return identifiers;
+    },
+
+    /**
+     * Private method to resolve many identifiers at once, see resolveIdentifier. sys_ids are taken as they are,
+     * other string identifiers are resolved with one IN query per identifier field. Object identifiers and values
+     * containing commas cannot be part of an IN query and are resolved one by one.
+     *
+     * @returns {object} - {sysIds, sysIdByIdentifier, notFound}: the distinct sys_ids, the sys_id of each resolved
+     *                     identifier keyed by _describeIdentifier, and the identifiers that were not resolved.
+     */
+    _resolveIdentifiers: function(tableName, identifiers, secure) {
+        var resolution = {
+            sysIds: [],
+            sysIdByIdentifier: {},
+            notFound: []
+        };
+        var self = this;
+        var resolved = function(identifier, sysId) {
+            resolution.sysIdByIdentifier[self._describeIdentifier(identifier)] = sysId;
+            if (resolution.sysIds.indexOf(sysId) === -1) {
+                resolution.sysIds.push(sysId);
+            }
+        };
+
+        // Identifiers still to resolve, keyed in lower case as the database compares them case-insensitively.
+        // Identifiers that only differ in case share a key and are resolved together.
+        var pending = {};
+        var pendingCount = 0;
+        for (var i = 0; i < identifiers.length; i++) {
+            var identifier = identifiers[i];
+            var cachedSysId = this._getCachedSysId(tableName, identifier, secure);
+
+            if (this._isSysId(identifier) || cachedSysId) {
+                resolved(identifier, cachedSysId || identifier);
+            } else if (typeof identifier === 'string' && identifier.indexOf(',') === -1) {
+                var pendingKey = identifier.toLowerCase();
+                if (!pending[pendingKey]) {
+                    pending[pendingKey] = [];
+                    pendingCount++;
+                }
+                pending[pendingKey].push(identifier);
+            } else {
+                var single = this._resolveIdentifier(tableName, identifier, secure);
+                if (single.status === 'found') {
+                    resolved(identifier, single.sysId);
+                } else {
+                    resolution.notFound.push(identifier);
+                }
+            }
+        }
+
+        var fieldNames = pendingCount ? this._getIdentifierFields(tableName) : [];
+        for (var j = 0; j < fieldNames.length && pendingCount; j++) {
+            var gr = secure ? new GlideRecordSecure(tableName) : new GlideRecord(tableName);
+            if (!gr.isValidField(fieldNames[j])) {
+                gs.warn(this.logSource + ': Identifier field "' + fieldNames[j] + '" does not exist on table "' + tableName + '".');
+                continue;
+            }
+
+            var values = [];
+            for (var key in pending) {
+                values.push(pending[key][0]);
+            }
+            gr.addQuery(fieldNames[j], 'IN', values.join(','));
+            gr.query();
+
+            var matches = {};
+            while (gr.next()) {
+                var value = String(gr.getValue(fieldNames[j])).toLowerCase();
+                matches[value] = (matches[value] || []).concat(gr.getUniqueValue());
+            }
+
+            for (var matched in matches) {
+                var pendingIdentifiers = pending[matched];
+                if (!pendingIdentifiers) {
+                    continue;
+                }
+
+                for (var k = 0; k < pendingIdentifiers.length; k++) {
+                    if (matches[matched].length === 1) {
+                        this._cacheSysId(tableName, pendingIdentifiers[k], secure, matches[matched][0]);
+                        resolved(pendingIdentifiers[k], matches[matched][0]);
+                    } else {
+                        gs.warn(this.logSource + ': Identifier ' + pendingIdentifiers[k] + ' is ambiguous in table ' + tableName + 
+                              ': more than one record matches ' + fieldNames[j] + ' (' + matches[matched].join(', ') + ').');
+                        resolution.notFound.push(pendingIdentifiers[k]);
+                    }
+                }
+                delete pending[matched];
+                pendingCount--;
+            }
+        }
+
+        for (var unresolved in pending) {
+            resolution.notFound = resolution.notFound.concat(pending[unresolved]);
+        }
+
+        return resolution;
+    },
+
+    /**
+     * Private method to look up a cached record, see initialize. Returns a copy, as callers such as
+     * getRecordGraph add to the records they get.
+     *
+     * @returns {object} - The record data, or null if caching is off or the record is not cached.
+     */
+    _getCachedRecord: function(tableName, sysId, queryOptions) {
+        var key = this._cache ? this._recordCacheKey(tableName, sysId, queryOptions) : null;
+        if (!key || !this._cache.records.hasOwnProperty(key)) {
+            return null;
+        }
+
+        return JSON.parse(JSON.stringify(this._cache.records[key]));
+    },
+
+    /**
+     * Private method to add a copy of record data to the cache, if caching is on.
+     */
+    _cacheRecord: function(tableName, recordData, queryOptions) {
+        if (this._cache) {
+            this._cache.records[this._recordCacheKey(tableName, recordData.sys_id, queryOptions)] =
+                JSON.parse(JSON.stringify(recordData));
+        }
+    },
+
+    /**
+     * Private method to build the cache key of a record: its table, sys_id and the options that change which
+     * fields and values are collected.
+     */
+    _recordCacheKey: function(tableName, sysId, queryOptions) {
+        var redaction = null;
+        if (queryOptions.redaction) {
+            redaction = {
+                fields: queryOptions.redaction.fields,
+                patterns: queryOptions.redaction.patterns.map(function(rule) {
+                    return [rule.name, rule.regex.source, rule.placeholder, rule.luhn];
+                })
+            };
+        }
+
+        return [
+            tableName,
+            sysId,
+            queryOptions.fields ? queryOptions.fields.slice().sort().join(',') : '*',
+            queryOptions.excludeEmpty ? 'populated' : 'all',
+            queryOptions.secure ? 'secure' : '',
+            redaction ? JSON.stringify(redaction) : ''
+        ].join('|');
+    },
+
+    /**
+     * Private method to look up the cached sys_id an identifier resolved to.
+     */
+    _getCachedSysId: function(tableName, recordIdentifier, secure) {
+        var key = [tableName, secure ? 'secure' : '', this._describeIdentifier(recordIdentifier)].join('|');
+        return this._cache && this._cache.identifiers.hasOwnProperty(key) ? this._cache.identifiers[key] : null;
+    },
+
+    /**
+     * Private method to cache the sys_id an identifier resolved to, if caching is on.
+     */
+    _cacheSysId: function(tableName, recordIdentifier, secure, sysId) {
+        if (this._cache) {
+            this._cache.identifiers[[tableName, secure ? 'secure' : '', this._describeIdentifier(recordIdentifier)].join('|')] = sysId;
+        }
+    },
+
+    /**
+     * Private method to check whether an identifier is a sys_id.
+     */
+    _isSysId: function(recordIdentifier) {
+        return typeof recordIdentifier === 'string' && /^[0-9a-f]{32}$/.test(recordIdentifier);
+    },
+
+    /**
+     * Private method to render an identifier for log messages.
+     */
+    _describeIdentifier: function(recordIdentifier) {
+        return typeof recordIdentifier === 'object' ? JSON.stringify(recordIdentifier) : recordIdentifier;
+    },
+
+    /**
+     * Private method to collect all field data from a GlideRecord.
+     *
+     * @param {GlideRecord} gr - A GlideRecord object positioned to a valid record.
+     * @param {object} queryOptions - Normalized query options. excludeEmpty, fields, secure and redaction apply:
+     *                                fields that do not exist on the table are skipped, unreadable fields are
+     *                                left out with secure, and redaction masks the values.
+     * @returns {object} - An object containing field values from the record.
+     */
+    _collectRecordData: function(gr, queryOptions) {
+        var recordData = {
+            sys_id: gr.getUniqueValue(),
+            display_value: gr.getDisplayValue()
+        };
+        var tableName = String(gr.getTableName());
+        var report = {
+            hidden: [],
+            redacted: []
+        };
+
+        // Get the requested fields, or all fields for this record
+        var fieldNames = queryOptions.fields;
+        if (!fieldNames) {
+            fieldNames = [];
+            var tableFields = gr.getFields();
+            for (var i = 0; i < tableFields.size(); i++) {
+                fieldNames.push(String(tableFields.get(i).getName()));
+            }
+        }
         
         // Add field values to the result object
-        for (var j = 0; j < tableFields.size(); j++) {
-            var glideElement = tableFields.get(j);
-            var fieldName = glideElement.getName();
+        for (var j = 0; j < fieldNames.length; j++) {
+            var fieldName = fieldNames[j];
+            
+            if (!gr.isValidField(fieldName)) continue;
             
             // Skip sys_id as we already added it
             if (fieldName === 'sys_id') continue;
@@ -398,7 +2702,13 @@ AbstractNowRecordUtils.prototype = {
             var value = gr.getValue(fieldName);
             
             // Skip empty fields if excludeEmpty is true
-            if (excludeEmpty && (value === null || value === '')) {
+            if (queryOptions.excludeEmpty && (value === null || value === '')) {
+                continue;
+            }
+
+            // Leave out fields the user cannot read, per field ACLs
+            if (queryOptions.secure && !gr.getElement(fieldName).canRead()) {
+                report.hidden.push(fieldName);
                 continue;
             }
             
@@ -407,6 +2717,28 @@ AbstractNowRecordUtils.prototype = {
                 value: value,
                 display_value: gr.getDisplayValue(fieldName)
             };
+
+            if (queryOptions.redaction) {
+                this._redactField(tableName, fieldName, recordData[fieldName], queryOptions.redaction, report.redacted);
+            }
+        }
+
+        // The record display value is the value of the display field, so it is protected the same way
+        var displayField = String(gr.getDisplayName());
+        if (queryOptions.secure && displayField && gr.isValidField(displayField) && !gr.getElement(displayField).canRead()) {
+            recordData.display_value = '';
+        }
+        if (queryOptions.redaction && recordData.display_value) {
+            var display = {
+                value: recordData.display_value,
+                display_value: recordData.display_value
+            };
+            this._redactField(tableName, displayField, display, queryOptions.redaction, []);
+            recordData.display_value = display.display_value;
+        }
+
+        if (queryOptions.secure || queryOptions.redaction) {
+            recordData.redaction_report = report;
         }
 
         return recordData;
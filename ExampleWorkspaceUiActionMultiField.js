@@ -0,0 +1,18 @@
+function onClick(g_form) {
+    // Loads the NaskModal UI script, see NaskModal.js for all options
+    g_ui_scripts.getUIScript('NaskModal').then(function(NaskModal) {
+        NaskModal.run({
+            form: g_form,
+            modal: g_modal,
+            // The skill must have an "output" definition in the skill registry (nask.modal.skill_registry),
+            // each extracted value gets its own modal field and is saved to its targetField
+            skill: 'incident_resolution',
+            fields: [{
+                name: 'resolution',
+                label: 'Resolution notes',
+                targetField: 'close_notes'
+            }],
+            save: true
+        });
+    });
+}
@@ -0,0 +1,396 @@
+/**
+ * Client-side library (UI script) that runs a registered Now Assist skill on a record and lets the user
+ * review the output in a modal before it is written back to the form.
+ *
+ * It wraps the loading frame, the startSkill/getSkillStatus polling on naskModalUtils, cancellation,
+ * error handling, the editable result modal, the write-back to the form and the audit of the accepted
+ * text, so a new Now Assist button only needs a few lines of configuration. The result modal also lets the user
+ * regenerate the output, optionally with a refinement instruction, and pick between the versions
+ * generated so far before saving.
+ *
+ * The script evaluates to the library, which g_ui_scripts.getUIScript('NaskModal') resolves with:
+ *
+ *     g_ui_scripts.getUIScript('NaskModal').then(function(NaskModal) {
+ *         NaskModal.run({
+ *             form: g_form,
+ *             skill: 'incident_escalation',
+ *             targetField: 'work_notes'
+ *         });
+ *     });
+ */
+(function() {
+    var DEFAULTS = {
+        title: 'Now Assist Skill Output',
+        errorTitle: 'Now Assist Skill Error',
+        instruction: 'NOTE: Please verify Now Assist Skill Output content before using it.',
+        label: 'Now Assist Skill Output',
+        save: true,
+        regenerate: true,
+        refine: false,
+        pollIntervalMs: 3000,
+        timeoutMs: 120000,
+        imagePath: '/genai.gif'
+    };
+
+    // Names of the modal fields NaskModal adds next to the skill output
+    var VERSION_FIELD = 'naskVersion';
+    var ACTION_FIELD = 'naskNextAction';
+    var REFINEMENT_FIELD = 'naskRefinement';
+
+    /**
+     * Runs the skill and shows its output.
+     *
+     * @param {object} config
+     * @param {object} config.form - The g_form of the calling UI action.
+     * @param {string} config.skill - The skill name registered in nask.modal.skill_registry.
+     * @param {object} [config.record] - {table, sysId} to run the skill on, defaults to the form's record.
+     * @param {string} [config.targetField] - Form field the output is written to, for skills without an output definition.
+     * @param {boolean} [config.save=true] - Saves the form after writing the output.
+     * @param {boolean} [config.regenerate=true] - Offers the regenerate and version choice actions in the result modal.
+     * @param {boolean} [config.refine=false] - Offers a refinement instruction when regenerating. The skill needs a
+     *                                          refinementInput in the registry.
+     * @param {object[]} [config.fields] - Overrides for extracted fields of skills with an output definition,
+     *                                     matched by name: [{name, label, targetField}].
+     * @param {function} [config.onError] - Called with the error response instead of showing the error modal.
+     * @param {object} [config.modal] - The g_modal to use, defaults to the global g_modal.
+     */
+    function run(config) {
+        var options = applyDefaults(config);
+        var form = options.form;
+
+        // Every generated output is kept as a version the user can go back to
+        var session = {
+            options: options,
+            record: options.record || {
+                table: form.getTableName(),
+                sysId: form.getUniqueValue()
+            },
+            versions: []
+        };
+
+        execute(session, '');
+    }
+
+    function execute(session, refinement) {
+        var options = session.options;
+        // State of this run of the skill, the loading frame can be closed before startSkill answers
+        var execution = {
+            handle: null,
+            finished: false,
+            cancelled: false
+        };
+
+        // Closing the loading frame cancels the run, the frame is replaced once the run has finished
+        options.modal.showFrame({
+            url: imageUrl(options.imagePath),
+            title: options.title,
+            size: 'sm'
+        }).then(function() {
+            cancel(options, execution);
+        });
+
+        callSkillApi('startSkill', {
+            skillName: options.skill,
+            tableName: session.record.table,
+            sysId: session.record.sysId,
+            refinement: refinement
+        }, function(handle) {
+            if (handle.status === 'failed') {
+                execution.finished = true;
+                if (!execution.cancelled) {
+                    handleError(options, handle);
+                }
+                return;
+            }
+
+            execution.handle = handle;
+            if (execution.cancelled) {
+                cancelSkill(handle);
+                return;
+            }
+
+            pollStatus(session, execution, new Date().getTime() + options.timeoutMs);
+        });
+    }
+
+    function pollStatus(session, execution, deadline) {
+        var options = session.options;
+        var handle = execution.handle;
+        if (execution.cancelled) {
+            return;
+        }
+
+        callSkillApi('getSkillStatus', {
+            executionId: handle.executionId,
+            skillName: handle.skillName
+        }, function(status) {
+            if (execution.cancelled) {
+                return;
+            }
+
+            if (status.status === 'complete') {
+                execution.finished = true;
+                session.versions.push({
+                    auditId: status.auditId,
+                    structured: !!status.fields,
+                    outputFields: buildOutputFields(options, status)
+                });
+                showOutput(session, session.versions.length - 1);
+            } else if (status.status === 'failed') {
+                execution.finished = true;
+                handleError(options, status);
+            } else if (new Date().getTime() < deadline) {
+                setTimeout(function() {
+                    pollStatus(session, execution, deadline);
+                }, options.pollIntervalMs);
+            } else {
+                // Client-side timeout reached, let the user decide whether to keep waiting
+                options.modal.confirm(
+                    options.title,
+                    translate('The skill is taking longer than expected. Do you want to keep waiting?'),
+                    function(keepWaiting) {
+                        if (keepWaiting) {
+                            pollStatus(session, execution, new Date().getTime() + options.timeoutMs);
+                        } else {
+                            cancel(options, execution);
+                        }
+                    }
+                );
+            }
+        });
+    }
+
+    // Stops polling and marks the execution as cancelled in its audit record
+    function cancel(options, execution) {
+        if (execution.finished || execution.cancelled) {
+            return;
+        }
+
+        execution.cancelled = true;
+        options.form.addInfoMessage(translate('Now Assist skill execution was cancelled.'));
+
+        // Without a handle yet, the execution is cancelled once startSkill answers
+        if (execution.handle) {
+            cancelSkill(execution.handle);
+        }
+    }
+
+    function showOutput(session, versionIndex) {
+        var options = session.options;
+        var version = session.versions[versionIndex];
+
+        var modalFields = version.outputFields.map(function(field) {
+            return {
+                type: 'textarea',
+                name: field.name,
+                label: translate(field.label),
+                mandatory: !version.structured,
+                value: field.value
+            };
+        });
+
+        if (options.regenerate) {
+            modalFields = modalFields.concat(buildActionFields(session, versionIndex));
+        }
+
+        options.modal.showFields({
+            title: options.title,
+            instruction: translate(options.instruction),
+            size: 'lg',
+            fields: modalFields
+        }).then(function(fieldValues) {
+            var values = {};
+            modalFields.forEach(function(field) {
+                values[field.name] = field.value;
+            });
+            fieldValues.updatedFields.forEach(function(field) {
+                values[field.name] = field.value;
+            });
+
+            if (values[ACTION_FIELD] === 'regenerate') {
+                execute(session, values[REFINEMENT_FIELD] || '');
+            } else if (values[ACTION_FIELD] === 'show_version') {
+                showOutput(session, parseInt(values[VERSION_FIELD], 10));
+            } else {
+                saveVersion(options, version, values);
+            }
+        });
+    }
+
+    /**
+     * The version choice, next action and refinement fields shown below the output.
+     */
+    function buildActionFields(session, versionIndex) {
+        var actionFields = [];
+        var actions = [{
+            value: 'save',
+            displayValue: translate('Save this output')
+        }, {
+            value: 'regenerate',
+            displayValue: translate('Regenerate')
+        }];
+
+        if (session.versions.length > 1) {
+            actions.push({
+                value: 'show_version',
+                displayValue: translate('Show selected version')
+            });
+
+            actionFields.push({
+                type: 'choice',
+                name: VERSION_FIELD,
+                label: translate('Version'),
+                value: String(versionIndex),
+                choices: session.versions.map(function(version, index) {
+                    return {
+                        value: String(index),
+                        displayValue: translate('Version') + ' ' + (index + 1)
+                    };
+                })
+            });
+        }
+
+        actionFields.push({
+            type: 'choice',
+            name: ACTION_FIELD,
+            label: translate('Next step'),
+            value: 'save',
+            mandatory: true,
+            choices: actions
+        });
+
+        if (session.options.refine) {
+            actionFields.push({
+                type: 'textarea',
+                name: REFINEMENT_FIELD,
+                label: translate('Refinement instruction (used when regenerating)'),
+                mandatory: false,
+                value: ''
+            });
+        }
+
+        return actionFields;
+    }
+
+    function saveVersion(options, version, values) {
+        var finalValues = {};
+        version.outputFields.forEach(function(field) {
+            finalValues[field.name] = values[field.name];
+            if (field.targetField) {
+                options.form.setValue(field.targetField, values[field.name]);
+            }
+        });
+
+        // Audited in the same shape the output was proposed in, see naskModalUtils._proposedText
+        recordAccepted(version.auditId,
+            version.structured ? JSON.stringify(finalValues) : finalValues[version.outputFields[0].name]);
+
+        if (options.save) {
+            options.form.save();
+        }
+    }
+
+    /**
+     * One entry per value shown in the modal: the extracted fields for skills with an output
+     * definition, otherwise a single field holding the raw output.
+     */
+    function buildOutputFields(options, skillResponse) {
+        if (!skillResponse.fields) {
+            return [{
+                name: 'nowAssistSkillOutput',
+                label: options.label,
+                value: skillResponse.output,
+                targetField: options.targetField
+            }];
+        }
+
+        var overrides = {};
+        (options.fields || []).forEach(function(override) {
+            overrides[override.name] = override;
+        });
+
+        return skillResponse.fields.map(function(field) {
+            var override = overrides[field.name] || {};
+            return {
+                name: field.name,
+                label: override.label || field.label,
+                value: field.value,
+                targetField: override.targetField || field.targetField
+            };
+        });
+    }
+
+    // Errors get their own modal and are never written to the form
+    function handleError(options, errorResponse) {
+        if (options.onError) {
+            options.onError(errorResponse);
+            return;
+        }
+
+        options.modal.alert(
+            options.errorTitle,
+            errorResponse.message + ' ' + translate('Reference') + ': ' + errorResponse.correlationId
+        );
+    }
+
+    // Records what was actually saved so it can be compared with the skill output
+    function recordAccepted(auditId, finalText) {
+        if (!auditId) {
+            return;
+        }
+
+        callSkillApi('recordAccepted', {
+            auditId: auditId,
+            finalText: finalText
+        }, function() {});
+    }
+
+    function cancelSkill(handle) {
+        callSkillApi('cancelSkill', {
+            executionId: handle.executionId,
+            skillName: handle.skillName
+        }, function() {});
+    }
+
+    function callSkillApi(methodName, params, callback) {
+        var ga = new GlideAjax('global.naskModalUtils');
+        ga.addParam('sysparm_name', methodName);
+        for (var name in params) {
+            ga.addParam(name, params[name]);
+        }
+
+        ga.getXMLAnswer(function(answer) {
+            callback(JSON.parse(answer));
+        });
+    }
+
+    function applyDefaults(config) {
+        var options = {};
+        var name;
+
+        for (name in DEFAULTS) {
+            options[name] = DEFAULTS[name];
+        }
+        for (name in config) {
+            if (config[name] !== undefined) {
+                options[name] = config[name];
+            }
+        }
+
+        options.modal = options.modal || g_modal;
+        return options;
+    }
+
+    // The loading image is served by the current instance
+    function imageUrl(imagePath) {
+        return window.location.protocol + '//' + window.location.host + imagePath;
+    }
+
+    function translate(message) {
+        return typeof getMessage === 'function' ? getMessage(message) : message;
+    }
+
+    return {
+        run: run
+    };
+})();
@@ -0,0 +1,454 @@
+/**
+ * Handlers of the NOW Utils Scripted REST API, which makes AbstractNowRecordUtils and the Now Assist skills of
+ * naskModalUtils available to integrations and portals outside the platform UI.
+ *
+ * Each resource of the Scripted REST API calls one handler:
+ *
+ *     (function process(request, response) {
+ *         new NowUtilsRestApi().getRecord(request, response);
+ *     })(request, response);
+ *
+ * Resources, relative to the base path of the API:
+ *   GET  /record/{table}/{id}                                          getRecord
+ *   GET  /record/{table}/{id}/related/{relatedTable}/{referenceField}  getRelatedRecords
+ *   POST /record/{table}/{id}/graph                                    getRecordGraph
+ *   POST /record/{table}/{id}/skill/{skillName}                        executeSkill
+ *   GET  /skill/{skillName}/execution/{executionId}                    getSkillStatus
+ *
+ * {id} is a sys_id or any other identifier of the record, see AbstractNowRecordUtils.resolveIdentifier.
+ * Records are returned in the shape of AbstractNowRecordUtils, read with the caller's ACLs and redacted
+ * unless the now_utils.rest.redact system property is false. Every response uses the envelope of
+ * naskModalUtils: a status and a correlationId, with an errorCode and message when the status is 'failed'.
+ * The HTTP status follows the errorCode.
+ */
+var NowUtilsRestApi = Class.create();
+NowUtilsRestApi.prototype = {
+    // Comma separated roles, one of which is needed to call the API
+    ROLES_PROPERTY: 'now_utils.rest.roles',
+    DEFAULT_ROLES: 'itil',
+
+    // Record data is redacted with the rules of record_utils.redaction_rules unless this property is 'false'
+    REDACT_PROPERTY: 'now_utils.rest.redact',
+
+    // Page size of getRelatedRecords when no limit is given, and the largest limit accepted
+    DEFAULT_PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100,
+
+    // Largest maxDepth and maxRecords accepted by getRecordGraph, also used when the body gives none
+    MAX_GRAPH_DEPTH: 3,
+    MAX_GRAPH_RECORDS: 100,
+
+    // HTTP status returned with each errorCode, 500 for codes not listed
+    HTTP_STATUS: {
+        INVALID_REQUEST: 400,
+        ACCESS_DENIED: 403,
+        RECORD_NOT_FOUND: 404,
+        UNKNOWN_SKILL: 404,
+        AUDIT_NOT_FOUND: 404,
+        RATE_LIMITED: 429,
+        CAPABILITY_MISSING: 502,
+        OUTPUT_PARSE_FAILED: 502,
+        EXECUTION_FAILED: 502
+    },
+
+    // User-safe messages of the record resources. Skill errors keep the messages of naskModalUtils.
+    ERROR_MESSAGES: {
+        INVALID_REQUEST: 'The request is not valid.',
+        ACCESS_DENIED: 'You do not have access to this resource.',
+        RECORD_NOT_FOUND: 'The record could not be found.',
+        PLATFORM_EXCEPTION: 'Something went wrong while processing the request.'
+    },
+
+    initialize: function() {
+        // One caching instance per request, so a graph or page does not read the same record twice
+        this.recordUtils = new AbstractNowRecordUtils({ cache: true });
+    },
+
+    /**
+     * GET /record/{table}/{id}
+     * Query parameters: fields (comma separated), excludeEmpty.
+     * Returns {status: 'complete', record, correlationId}.
+     */
+    getRecord: function(request, response) {
+        var correlationId = gs.generateGUID();
+
+        try {
+            var target = this._findRecord(request, correlationId, 'getRecord');
+            if (target.errorCode) {
+                return this._send(response, target);
+            }
+
+            var queryOptions = this._queryOptions(request, target.tableName, false, correlationId, 'getRecord');
+            if (queryOptions.errorCode) {
+                return this._send(response, queryOptions);
+            }
+
+            var record = this.recordUtils.getRecordAllFields(target.tableName, target.sysId, queryOptions);
+            if (!record) {
+                return this._send(response, this._errorResponse('RECORD_NOT_FOUND', correlationId, 'getRecord',
+                    'Record ' + target.tableName + ':' + target.sysId + ' could not be read'));
+            }
+
+            return this._send(response, {
+                status: 'complete',
+                record: record,
+                correlationId: correlationId
+            });
+        } catch (e) {
+            return this._send(response, this._errorResponse('PLATFORM_EXCEPTION', correlationId, 'getRecord', e.message));
+        }
+    },
+
+    /**
+     * GET /record/{table}/{id}/related/{relatedTable}/{referenceField}
+     * Query parameters: fields, excludeEmpty, encodedQuery, orderBy, orderByDesc, limit (default 20, at most 100)
+     * and offset. The total is also returned in the X-Total-Count header. Records are counted up to one past
+     * the page, so the total is a lower bound while hasMore is true.
+     * Returns {status: 'complete', records, totalCount, offset, limit, hasMore, correlationId}.
+     */
+    getRelatedRecords: function(request, response) {
+        var correlationId = gs.generateGUID();
+
+        try {
+            var target = this._findRecord(request, correlationId, 'getRelatedRecords');
+            if (target.errorCode) {
+                return this._send(response, target);
+            }
+
+            var relatedTable = this._pathParam(request, 'relatedTable');
+            var referenceField = this._pathParam(request, 'referenceField');
+            var related = new GlideRecord(relatedTable);
+            if (!related.isValid() || !related.isValidField(referenceField)) {
+                return this._send(response, this._errorResponse('INVALID_REQUEST', correlationId, 'getRelatedRecords',
+                    'No reference field ' + referenceField + ' on table ' + relatedTable));
+            }
+
+            var queryOptions = this._queryOptions(request, relatedTable, true, correlationId, 'getRelatedRecords');
+            if (queryOptions.errorCode) {
+                return this._send(response, queryOptions);
+            }
+
+            var page = this.recordUtils.findRelatedRecordsPage(relatedTable, referenceField, target.sysId, queryOptions);
+            response.setHeader('X-Total-Count', String(page.totalCount));
+
+            return this._send(response, {
+                status: 'complete',
+                records: page.records,
+                totalCount: page.totalCount,
+                offset: page.offset,
+                limit: page.limit,
+                hasMore: page.hasMore,
+                correlationId: correlationId
+            });
+        } catch (e) {
+            return this._send(response, this._errorResponse('PLATFORM_EXCEPTION', correlationId, 'getRelatedRecords', e.message));
+        }
+    },
+
+    /**
+     * POST /record/{table}/{id}/graph
+     * The body is the expansion of AbstractNowRecordUtils.getRecordGraph: {references, relatedLists, maxDepth,
+     * maxRecords, excludeEmpty, fields}. maxDepth is at most 3 and maxRecords at most 100; secure and redact are
+     * set by the API.
+     * Returns {status: 'complete', record, correlationId}.
+     */
+    getRecordGraph: function(request, response) {
+        var correlationId = gs.generateGUID();
+
+        try {
+            var target = this._findRecord(request, correlationId, 'getRecordGraph');
+            if (target.errorCode) {
+                return this._send(response, target);
+            }
+
+            var body = this._body(request);
+            var expansion = {};
+            for (var name in body) {
+                expansion[name] = body[name];
+            }
+            expansion.secure = true;
+            expansion.redact = this._redact();
+
+            var bounds = { maxDepth: this.MAX_GRAPH_DEPTH, maxRecords: this.MAX_GRAPH_RECORDS };
+            for (var bound in bounds) {
+                var value = body[bound];
+                if (value === undefined || value === null || value === '') {
+                    expansion[bound] = bounds[bound];
+                } else if (/^\d+$/.test(String(value))) {
+                    expansion[bound] = Math.min(parseInt(value, 10), bounds[bound]);
+                } else {
+                    return this._send(response, this._errorResponse('INVALID_REQUEST', correlationId, 'getRecordGraph',
+                        'Invalid ' + bound + ' "' + value + '"'));
+                }
+            }
+
+            var graph = this.recordUtils.getRecordGraph(target.tableName, target.sysId, expansion);
+            if (!graph) {
+                return this._send(response, this._errorResponse('RECORD_NOT_FOUND', correlationId, 'getRecordGraph',
+                    'Record ' + target.tableName + ':' + target.sysId + ' could not be read'));
+            }
+
+            return this._send(response, {
+                status: 'complete',
+                record: graph,
+                correlationId: correlationId
+            });
+        } catch (e) {
+            return this._send(response, this._errorResponse('PLATFORM_EXCEPTION', correlationId, 'getRecordGraph', e.message));
+        }
+    },
+
+    /**
+     * POST /record/{table}/{id}/skill/{skillName}
+     * Runs a registered skill on the record through naskModalUtils, with its registry, role checks, rate limit
+     * and audit. {skillName} can list several skills separated by commas.
+     * Body: {refinement, async}. Synchronous runs return the response of execSkill. With async: true, the
+     * response of startSkill is returned with HTTP status 202, to be followed with getSkillStatus.
+     * async also accepts 'true' and 'false', other values are rejected with INVALID_REQUEST.
+     */
+    executeSkill: function(request, response) {
+        var correlationId = gs.generateGUID();
+
+        try {
+            var target = this._findRecord(request, correlationId, 'executeSkill');
+            if (target.errorCode) {
+                return this._send(response, target);
+            }
+
+            // Anything but an explicit true or false is rejected, so a mistyped flag does not change the response
+            var body = this._body(request);
+            var runAsync = body.async === true || body.async === 'true';
+            if (!runAsync && [undefined, null, '', false, 'false'].indexOf(body.async) === -1) {
+                return this._send(response, this._errorResponse('INVALID_REQUEST', correlationId, 'executeSkill',
+                    'Invalid async value ' + JSON.stringify(body.async) + ', expected true or false'));
+            }
+
+            var skills = this._skillApi({
+                skillName: this._pathParam(request, 'skillName'),
+                tableName: target.tableName,
+                sysId: target.sysId,
+                refinement: body.refinement
+            });
+
+            return this._send(response, JSON.parse(runAsync ? skills.startSkill() : skills.execSkill()));
+        } catch (e) {
+            return this._send(response, this._errorResponse('PLATFORM_EXCEPTION', correlationId, 'executeSkill', e.message));
+        }
+    },
+
+    /**
+     * GET /skill/{skillName}/execution/{executionId}
+     * Returns the response of naskModalUtils.getSkillStatus, with HTTP status 202 while the execution is pending.
+     */
+    getSkillStatus: function(request, response) {
+        var correlationId = gs.generateGUID();
+
+        try {
+            var denied = this._checkApiRole(correlationId, 'getSkillStatus');
+            if (denied) {
+                return this._send(response, denied);
+            }
+
+            var skills = this._skillApi({
+                skillName: this._pathParam(request, 'skillName'),
+                executionId: this._pathParam(request, 'executionId')
+            });
+
+            return this._send(response, JSON.parse(skills.getSkillStatus()));
+        } catch (e) {
+            return this._send(response, this._errorResponse('PLATFORM_EXCEPTION', correlationId, 'getSkillStatus', e.message));
+        }
+    },
+
+    /**
+     * Checks the API role and resolves the {table} and {id} path parameters among the records the user can read.
+     * Records the user cannot read are reported as not found, so the API does not reveal that they exist.
+     * Returns {tableName, sysId}, or an error response.
+     */
+    _findRecord: function(request, correlationId, methodName) {
+        var denied = this._checkApiRole(correlationId, methodName);
+        if (denied) {
+            return denied;
+        }
+
+        var tableName = this._pathParam(request, 'table');
+        var identifier = this._pathParam(request, 'id');
+        if (!tableName || !identifier || !new GlideRecord(tableName).isValid()) {
+            return this._errorResponse('INVALID_REQUEST', correlationId, methodName,
+                'Table ' + tableName + ' and record ' + identifier + ' are required and the table must exist');
+        }
+
+        var resolution = this.recordUtils.resolveIdentifier(tableName, identifier, { secure: true });
+        if (!resolution || resolution.status === 'not_found') {
+            return this._errorResponse('RECORD_NOT_FOUND', correlationId, methodName,
+                'Record ' + identifier + ' not found in table ' + tableName);
+        }
+
+        if (resolution.status === 'ambiguous') {
+            return this._errorResponse('INVALID_REQUEST', correlationId, methodName,
+                'Identifier ' + identifier + ' matches several records of table ' + tableName + ': ' + resolution.matches.join(', '));
+        }
+
+        return {
+            tableName: tableName,
+            sysId: resolution.sysId
+        };
+    },
+
+    /**
+     * Reads the query options of AbstractNowRecordUtils from the query parameters. Records are always read
+     * securely. Returns the options, or an error response for invalid parameters.
+     */
+    _queryOptions: function(request, tableName, forList, correlationId, methodName) {
+        var queryOptions = {
+            fields: this._queryParam(request, 'fields') || null,
+            excludeEmpty: this._queryParam(request, 'excludeEmpty') === 'true',
+            secure: true,
+            redact: this._redact()
+        };
+
+        if (!forList) {
+            return queryOptions;
+        }
+
+        var gr = new GlideRecord(tableName);
+        var encodedQuery = this._queryParam(request, 'encodedQuery');
+        if (encodedQuery && !gr.isEncodedQueryValid(encodedQuery)) {
+            return this._errorResponse('INVALID_REQUEST', correlationId, methodName,
+                'Invalid encodedQuery ' + encodedQuery + ' for table ' + tableName);
+        }
+        queryOptions.encodedQuery = encodedQuery;
+
+        var sortFields = ['orderBy', 'orderByDesc'];
+        for (var i = 0; i < sortFields.length; i++) {
+            var fieldNames = this._toList(this._queryParam(request, sortFields[i]));
+            for (var j = 0; j < fieldNames.length; j++) {
+                if (!gr.isValidField(fieldNames[j])) {
+                    return this._errorResponse('INVALID_REQUEST', correlationId, methodName,
+                        'Invalid ' + sortFields[i] + ' field ' + fieldNames[j] + ' for table ' + tableName);
+                }
+            }
+            queryOptions[sortFields[i]] = fieldNames;
+        }
+
+        var bounds = { limit: this.DEFAULT_PAGE_SIZE, offset: 0 };
+        for (var bound in bounds) {
+            var value = this._queryParam(request, bound);
+            if (value === null || value === '') {
+                queryOptions[bound] = bounds[bound];
+            } else if (/^\d+$/.test(value)) {
+                queryOptions[bound] = parseInt(value, 10);
+            } else {
+                return this._errorResponse('INVALID_REQUEST', correlationId, methodName,
+                    'Invalid ' + bound + ' "' + value + '"');
+            }
+        }
+        queryOptions.limit = Math.min(queryOptions.limit || this.DEFAULT_PAGE_SIZE, this.MAX_PAGE_SIZE);
+
+        return queryOptions;
+    },
+
+    /**
+     * An instance of naskModalUtils answering the given parameters, so skills run exactly as they do
+     * for GlideAjax callers.
+     */
+    _skillApi: function(params) {
+        return new naskModalUtils({
+            getParameter: function(name) {
+                return params.hasOwnProperty(name) && params[name] !== undefined && params[name] !== null ?
+                    String(params[name]) : null;
+            }
+        });
+    },
+
+    /**
+     * Checks that the user has one of the roles of the now_utils.rest.roles property.
+     * Returns null when the user has one, otherwise an ACCESS_DENIED error response.
+     */
+    _checkApiRole: function(correlationId, methodName) {
+        var roles = this._toList(gs.getProperty(this.ROLES_PROPERTY, this.DEFAULT_ROLES));
+        for (var i = 0; i < roles.length; i++) {
+            if (gs.hasRole(roles[i])) {
+                return null;
+            }
+        }
+
+        return this._errorResponse('ACCESS_DENIED', correlationId, methodName,
+            'User ' + gs.getUserName() + ' has none of the API roles ' + roles.join(', '));
+    },
+
+    _toList: function(value) {
+        return (value || '').split(',').map(function(item) {
+            return item.trim();
+        }).filter(function(item) {
+            return item;
+        });
+    },
+
+    _redact: function() {
+        return String(gs.getProperty(this.REDACT_PROPERTY, 'true')) !== 'false';
+    },
+
+    _pathParam: function(request, name) {
+        var value = request.pathParams ? request.pathParams[name] : null;
+        return value ? String(value) : null;
+    },
+
+    /**
+     * The first value of a query parameter, which the platform provides as an array.
+     */
+    _queryParam: function(request, name) {
+        var value = request.queryParams ? request.queryParams[name] : null;
+        if (Array.isArray(value)) {
+            value = value[0];
+        }
+        return value === undefined || value === null ? null : String(value);
+    },
+
+    /**
+     * The parsed JSON body, or {} when there is none.
+     */
+    _body: function(request) {
+        var data = null;
+        try {
+            data = request.body ? request.body.data : null;
+        } catch (e) {
+            data = null;
+        }
+        return data && typeof data === 'object' ? data : {};
+    },
+
+    /**
+     * Writes the envelope with the HTTP status of its errorCode, 202 for pending executions and 200 otherwise.
+     */
+    _send: function(response, body) {
+        var status = 200;
+        if (body.status === 'failed') {
+            status = this.HTTP_STATUS[body.errorCode] || 500;
+        } else if (body.status === 'pending') {
+            status = 202;
+        }
+
+        if (body.retryAfter) {
+            response.setHeader('Retry-After', String(body.retryAfter));
+        }
+        response.setStatus(status);
+        response.setBody(body);
+    },
+
+    /**
+     * Builds the error envelope and logs the detail against the correlation id.
+     */
+    _errorResponse: function(errorCode, correlationId, methodName, detail) {
+        gs.error(this.type + '.' + methodName + ' [' + correlationId + '] ' + errorCode + ': ' + detail);
+
+        return {
+            status: 'failed',
+            errorCode: errorCode,
+            message: this.ERROR_MESSAGES[errorCode],
+            correlationId: correlationId
+        };
+    },
+
+    type: 'NowUtilsRestApi'
+};
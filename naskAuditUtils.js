@@ -0,0 +1,175 @@
+/**
+ * Records Now Assist skill executions and what the user finally saved from them.
+ * Each execution is stored in the u_nask_skill_audit table, one row per skill, so governance reviews
+ * can compare the raw model output with the accepted text.
+ */
+var naskAuditUtils = Class.create();
+naskAuditUtils.prototype = {
+    TABLE: 'u_nask_skill_audit',
+
+    // Texts longer than this are only compared for equality, the edit distance is reported as -1
+    MAX_EDIT_DISTANCE_LENGTH: 5000,
+
+    initialize: function() {
+        this.logSource = 'naskAuditUtils';
+    },
+
+    /**
+     * Stores the outcome of a skill execution for the current user.
+     *
+     * @param {object} execution - Details of the execution:
+     *                             {skillName, tableName, sysId, inputs, rawOutput, proposedText,
+     *                              status, errorCode, latencyMs, correlationId, executionId}.
+     * @returns {string} - The sys_id of the audit record, or null if it could not be written.
+     */
+    logExecution: function(execution) {
+        try {
+            var audit = new GlideRecord(this.TABLE);
+            audit.initialize();
+            audit.setValue('u_requester', gs.getUserID());
+            audit.setValue('u_skill_name', execution.skillName);
+            audit.setValue('u_table_name', execution.tableName);
+            audit.setValue('u_document_id', execution.sysId);
+            audit.setValue('u_inputs', execution.inputs ? JSON.stringify(execution.inputs) : '');
+            audit.setValue('u_correlation_id', execution.correlationId);
+            audit.setValue('u_execution_id', execution.executionId || '');
+            this._applyOutcome(audit, execution);
+
+            return audit.insert() || null;
+        } catch (e) {
+            gs.error(this.logSource + '.logExecution: Failed to write audit record for skill ' + execution.skillName + ': ' + e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Updates the current user's audit record of an async execution once its outcome is known.
+     * The latency is measured from the creation of the audit record.
+     *
+     * @param {string} executionId - The OneExtend execution id returned by startSkill.
+     * @param {object} outcome - {rawOutput, proposedText, status, errorCode}.
+     * @returns {string} - The sys_id of the audit record, or null if it does not exist.
+     */
+    completeExecution: function(executionId, outcome) {
+        try {
+            var audit = new GlideRecord(this.TABLE);
+            audit.addQuery('u_execution_id', executionId);
+            audit.addQuery('u_requester', gs.getUserID());
+            audit.addQuery('u_status', 'pending');
+            audit.query();
+
+            if (!audit.next()) {
+                return null;
+            }
+
+            var created = new GlideDateTime(audit.getValue('sys_created_on')).getNumericValue();
+            outcome.latencyMs = new GlideDateTime().getNumericValue() - created;
+            this._applyOutcome(audit, outcome);
+            audit.update();
+
+            return audit.getUniqueValue();
+        } catch (e) {
+            gs.error(this.logSource + '.completeExecution: Failed to update audit record for execution ' + executionId + ': ' + e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Finds the current user's audit record of an async execution of the skill.
+     *
+     * @param {string} executionId - The OneExtend execution id returned by startSkill.
+     * @param {string} skillName - The name of the skill that was started.
+     * @returns {object} - {auditId, tableName, sysId}, or null if the current user did not start the execution.
+     */
+    findExecution: function(executionId, skillName) {
+        var audit = new GlideRecord(this.TABLE);
+        audit.addQuery('u_execution_id', executionId);
+        audit.addQuery('u_requester', gs.getUserID());
+        audit.addQuery('u_skill_name', skillName);
+        audit.query();
+
+        if (!audit.next()) {
+            return null;
+        }
+
+        return {
+            auditId: audit.getUniqueValue(),
+            tableName: audit.getValue('u_table_name'),
+            sysId: audit.getValue('u_document_id')
+        };
+    },
+
+    /**
+     * Records the text the user accepted from the modal and whether it differs from what the skill proposed.
+     * Only the requester of the execution can accept it.
+     *
+     * @param {string} auditId - The sys_id of the audit record.
+     * @param {string} finalText - The text that was saved to the form.
+     * @returns {object} - {changed, editDistance}, or null if the audit record is not found or belongs to another user.
+     */
+    recordAccepted: function(auditId, finalText) {
+        var audit = new GlideRecord(this.TABLE);
+        if (!auditId || !audit.get(auditId) || String(audit.getValue('u_requester')) !== String(gs.getUserID())) {
+            gs.warn(this.logSource + '.recordAccepted: Audit record ' + auditId + ' not found for user ' + gs.getUserName());
+            return null;
+        }
+
+        var proposedText = audit.getValue('u_proposed_text') || '';
+        finalText = finalText ? String(finalText) : '';
+
+        var result = {
+            changed: proposedText !== finalText,
+            editDistance: this._editDistance(proposedText, finalText)
+        };
+
+        audit.setValue('u_final_text', finalText);
+        audit.setValue('u_changed', result.changed);
+        audit.setValue('u_edit_distance', result.editDistance);
+        audit.setValue('u_accepted', true);
+        audit.setValue('u_accepted_on', new GlideDateTime());
+        audit.update();
+
+        return result;
+    },
+
+    _applyOutcome: function(audit, outcome) {
+        audit.setValue('u_status', outcome.status);
+        audit.setValue('u_error_code', outcome.errorCode || '');
+        audit.setValue('u_raw_output', outcome.rawOutput || '');
+        audit.setValue('u_proposed_text', outcome.proposedText || '');
+        if (outcome.latencyMs !== undefined) {
+            audit.setValue('u_latency_ms', outcome.latencyMs);
+        }
+    },
+
+    /**
+     * Levenshtein distance between two texts, or -1 when either is too long to compare.
+     */
+    _editDistance: function(a, b) {
+        if (a === b) {
+            return 0;
+        }
+
+        if (a.length > this.MAX_EDIT_DISTANCE_LENGTH || b.length > this.MAX_EDIT_DISTANCE_LENGTH) {
+            return -1;
+        }
+
+        var previous = [];
+        for (var j = 0; j <= b.length; j++) {
+            previous.push(j);
+        }
+
+        for (var i = 1; i <= a.length; i++) {
+            var current = [i];
+            for (j = 1; j <= b.length; j++) {
+                var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+                current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    },
+
+    type: 'naskAuditUtils'
+};
@@ -1,19 +1,850 @@
 var naskModalUtils = Class.create();
 naskModalUtils.prototype = Object.extendsObject(AbstractAjaxProcessor, {
+    // System property holding the JSON skill registry, see README for its format
+    REGISTRY_PROPERTY: 'nask.modal.skill_registry',
+
+    // Default per-user, per-skill rate limit, overridable per skill with rateLimit in the registry
+    RATE_LIMIT_MAX_PROPERTY: 'nask.modal.rate_limit.max',
+    RATE_LIMIT_WINDOW_PROPERTY: 'nask.modal.rate_limit.window_seconds',
+    RATE_LIMIT_TABLE: 'u_nask_rate_limit',
+
+    // Maps OneExtend execution states onto the states reported to the client
+    ASYNC_STATUS_MAP: {
+        queued: 'pending',
+        pending: 'pending',
+        in_progress: 'pending',
+        running: 'pending',
+        success: 'complete',
+        complete: 'complete',
+        completed: 'complete'
+    },
+
+    // User-safe messages returned with each errorCode. Details are only written to the system log.
+    ERROR_MESSAGES: {
+        INVALID_REQUEST: 'The Now Assist skill request is not valid.',
+        UNKNOWN_SKILL: 'The requested Now Assist skill is not registered.',
+        ACCESS_DENIED: 'You do not have access to run this Now Assist skill on this record.',
+        RATE_LIMITED: 'You have run this Now Assist skill too often. Please try again later.',
+        RECORD_NOT_FOUND: 'The record for the Now Assist skill could not be found.',
+        AUDIT_NOT_FOUND: 'The Now Assist skill execution could not be found.',
+        UNKNOWN_CAPABILITY: 'The requested Now Assist skill is not available.',
+        CAPABILITY_MISSING: 'The Now Assist skill did not return a result.',
+        OUTPUT_PARSE_FAILED: 'The Now Assist skill returned a result that could not be read.',
+        EXECUTION_FAILED: 'The Now Assist skill failed to complete.',
+        PLATFORM_EXCEPTION: 'Something went wrong while executing skill.'
+    },
+
+    /**
+     * Executes one or more registered skills synchronously against a record in a single OneExtend call.
+     * Parameters: skillName (a comma-separated list for a batch), tableName, sysId and an optional refinement
+     * instruction, which is passed to every skill in the input named by its refinementInput.
+     * Returns {status, output, results, correlationId} where results holds one entry per skill in request
+     * order ({skillName, capabilityId, status: 'complete', output} or {skillName, capabilityId, status: 'failed',
+     * errorCode, message}), output is the output of the first skill and status is 'complete', 'partial' or 'failed'.
+     * Skills with an output definition in the registry also return the extracted values in fields.
+     * Every skill result is audited, its auditId is passed to recordAccepted once the user saves the output.
+     * Requests that cannot run at all return {status: 'failed', errorCode, message, correlationId}.
+     */
     execSkill: function() {
-        var naskRequest = JSON.parse(this.getParameter('naskRequest'));
+        var correlationId = gs.generateGUID();
 
-        var response = {
-            output: ""
+        var prepared = this._prepareRequest(this._splitSkillNames(this.getParameter('skillName')),
+            this.getParameter('tableName'), this.getParameter('sysId'), 'sync', correlationId, this.getParameter('refinement'));
+        if (prepared.errorCode) {
+            return JSON.stringify(prepared);
+        }
+
+        var results = prepared.results;
+        var latencyMs;
+        var executed = {};
+        if (prepared.request.executionRequests.length) {
+            var result = null;
+            var exceptionMessage = null;
+            var startTime = new Date().getTime();
+            try {
+                result = sn_one_extend.OneExtendUtil.execute(prepared.request);
+            } catch (e) {
+                exceptionMessage = e.message;
+            }
+            latencyMs = new Date().getTime() - startTime;
+
+            for (var i = 0; i < results.length; i++) {
+                if (results[i].status !== 'pending') {
+                    continue;
+                }
+                executed[i] = true;
+                results[i] = this._collectSkillResult(results[i], result, exceptionMessage, correlationId);
+            }
+        }
+
+        var audit = new naskAuditUtils();
+        for (var j = 0; j < results.length; j++) {
+            results[j].auditId = audit.logExecution({
+                skillName: results[j].skillName,
+                tableName: this.getParameter('tableName'),
+                sysId: this.getParameter('sysId'),
+                inputs: this._findPayload(prepared.request, results[j].capabilityId),
+                rawOutput: results[j].output,
+                proposedText: this._proposedText(results[j]),
+                status: results[j].status,
+                errorCode: results[j].errorCode,
+                latencyMs: executed[j] ? latencyMs : undefined,
+                correlationId: correlationId
+            });
+        }
+
+        return JSON.stringify(this._batchResponse(results, correlationId));
+    },
+
+    /**
+     * Submits a registered skill asynchronously and returns an execution handle
+     * ({executionId, skillName, status, auditId, correlationId}) to be passed to getSkillStatus.
+     * Parameters: skillName, tableName, sysId, refinement (optional).
+     * Failures are reported with status 'failed' and an errorCode.
+     */
+    startSkill: function() {
+        var correlationId = gs.generateGUID();
+        var skillNames = this._splitSkillNames(this.getParameter('skillName'));
+        if (skillNames.length > 1) {
+            return JSON.stringify(this._errorResponse('INVALID_REQUEST', correlationId, 'startSkill',
+                'startSkill runs a single skill, got ' + skillNames.join(', ')));
+        }
+        var skillName = skillNames[0];
+
+        var prepared = this._prepareRequest(skillNames, this.getParameter('tableName'),
+            this.getParameter('sysId'), 'async', correlationId, this.getParameter('refinement'));
+        if (prepared.errorCode) {
+            return JSON.stringify(prepared);
+        }
+        var capabilityId = prepared.results[0].capabilityId;
+        var execution = {
+            skillName: skillName,
+            tableName: this.getParameter('tableName'),
+            sysId: this.getParameter('sysId'),
+            inputs: this._findPayload(prepared.request, capabilityId),
+            correlationId: correlationId
         };
 
+        var response = prepared.results[0];
+        if (response.status === 'failed') {
+            response.correlationId = correlationId;
+        } else {
+            response = this._submitAsync(prepared.request, capabilityId, skillName, correlationId);
+        }
+
+        execution.status = response.status;
+        execution.errorCode = response.errorCode;
+        execution.executionId = response.executionId;
+        response.auditId = new naskAuditUtils().logExecution(execution);
+
+        return JSON.stringify(response);
+    },
+
+    /**
+     * Records the text the user saved from the modal against the audit record of the execution.
+     * Parameters: auditId, finalText.
+     * Returns {status: 'complete', changed, editDistance, correlationId}.
+     */
+    recordAccepted: function() {
+        var correlationId = gs.generateGUID();
+        var auditId = this.getParameter('auditId');
+
+        var accepted = new naskAuditUtils().recordAccepted(auditId, this.getParameter('finalText'));
+        if (!accepted) {
+            return JSON.stringify(this._errorResponse('AUDIT_NOT_FOUND', correlationId, 'recordAccepted',
+                'No audit record ' + auditId + ' for user ' + gs.getUserName()));
+        }
+
+        return JSON.stringify({
+            status: 'complete',
+            changed: accepted.changed,
+            editDistance: accepted.editDistance,
+            correlationId: correlationId
+        });
+    },
+
+    /**
+     * Reports the state of an execution started by startSkill as pending, complete or failed.
+     * Parameters: executionId, skillName.
+     * Only the user who started the execution can follow it, and only while they can read its record.
+     * The model_output is returned in `output` once the execution is complete, and the outcome
+     * is written to the execution's audit record.
+     */
+    getSkillStatus: function() {
+        var correlationId = gs.generateGUID();
+        var executionId = this.getParameter('executionId');
+        var skillName = this.getParameter('skillName');
+
+        if (!executionId) {
+            return JSON.stringify(this._errorResponse('INVALID_REQUEST', correlationId, 'getSkillStatus',
+                'executionId is required'));
+        }
+
+        var skill = this._getSkill(skillName);
+        if (!skill) {
+            return JSON.stringify(this._errorResponse('UNKNOWN_SKILL', correlationId, 'getSkillStatus',
+                'Skill "' + skillName + '" is not in ' + this.REGISTRY_PROPERTY));
+        }
+
+        if (!this._hasSkillRole(skill)) {
+            return JSON.stringify(this._errorResponse('ACCESS_DENIED', correlationId, 'getSkillStatus',
+                this._denialDetail(skillName, 'missing role for execution ' + executionId)));
+        }
+
+        var execution = new naskAuditUtils().findExecution(executionId, skillName);
+        if (!execution) {
+            return JSON.stringify(this._errorResponse('ACCESS_DENIED', correlationId, 'getSkillStatus',
+                this._denialDetail(skillName, 'execution ' + executionId + ' not started by user')));
+        }
+
+        var record = new GlideRecord(execution.tableName);
+        if (!record.isValid() || !record.get(execution.sysId) || !record.canRead()) {
+            return JSON.stringify(this._errorResponse('ACCESS_DENIED', correlationId, 'getSkillStatus',
+                this._denialDetail(skillName, 'record not readable for execution ' + executionId,
+                    execution.tableName + ':' + execution.sysId)));
+        }
+
+        var result;
         try {
-            response.output = JSON.parse(sn_one_extend.OneExtendUtil.execute(naskRequest).capabilities[naskRequest.executionRequests[0].capabilityId].response).model_output;
+            result = sn_one_extend.OneExtendUtil.getExecutionStatus(executionId);
         } catch (e) {
-            response.output = 'Something went wrong while executing skill.';
+            return JSON.stringify(this._errorResponse('PLATFORM_EXCEPTION', correlationId, 'getSkillStatus', e.message));
+        }
+
+        var capability = result && result.capabilities && result.capabilities[skill.capabilityId];
+        if (!capability) {
+            return JSON.stringify(this._errorResponse('CAPABILITY_MISSING', correlationId, 'getSkillStatus',
+                'No status for capability ' + skill.capabilityId + ' in execution ' + executionId));
         }
-        
+
+        var response = {
+            executionId: executionId,
+            status: this._mapAsyncStatus(capability.status),
+            output: '',
+            correlationId: correlationId
+        };
+
+        if (response.status === 'failed') {
+            response = this._errorResponse('EXECUTION_FAILED', correlationId, 'getSkillStatus',
+                'Execution ' + executionId + ' ended with status ' + capability.status);
+        }
+
+        if (response.status === 'complete') {
+            var output = this._parseModelOutput(capability.response);
+            if (output === null) {
+                response = this._errorResponse('OUTPUT_PARSE_FAILED', correlationId, 'getSkillStatus',
+                    'Could not read model_output for execution ' + executionId);
+            } else {
+                response.output = output;
+            }
+
+            if (output !== null && skill.output) {
+                response.fields = this._extractFields(skill.output, output);
+                if (response.fields === null) {
+                    response = this._errorResponse('OUTPUT_PARSE_FAILED', correlationId, 'getSkillStatus',
+                        'Could not extract fields from model_output for execution ' + executionId);
+                }
+            }
+        }
+
+        if (response.status !== 'pending') {
+            response.auditId = new naskAuditUtils().completeExecution(executionId, {
+                rawOutput: output,
+                proposedText: this._proposedText(response),
+                status: response.status,
+                errorCode: response.errorCode
+            });
+        }
+
         return JSON.stringify(response);
     },
+
+    /**
+     * Marks an execution started by startSkill as cancelled once the user stops waiting for it.
+     * Parameters: executionId, skillName.
+     * Only the user who started the execution can cancel it. Its audit record gets the status 'cancelled'
+     * unless the outcome was already recorded by getSkillStatus.
+     * Returns {executionId, status: 'cancelled', auditId, correlationId}.
+     */
+    cancelSkill: function() {
+        var correlationId = gs.generateGUID();
+        var executionId = this.getParameter('executionId');
+        var skillName = this.getParameter('skillName');
+
+        if (!executionId) {
+            return JSON.stringify(this._errorResponse('INVALID_REQUEST', correlationId, 'cancelSkill',
+                'executionId is required'));
+        }
+
+        var audit = new naskAuditUtils();
+        var execution = audit.findExecution(executionId, skillName);
+        if (!execution) {
+            return JSON.stringify(this._errorResponse('AUDIT_NOT_FOUND', correlationId, 'cancelSkill',
+                'No execution ' + executionId + ' of skill ' + skillName + ' for user ' + gs.getUserName()));
+        }
+
+        audit.completeExecution(executionId, {
+            status: 'cancelled'
+        });
+
+        return JSON.stringify({
+            executionId: executionId,
+            status: 'cancelled',
+            auditId: execution.auditId,
+            correlationId: correlationId
+        });
+    },
+
+    /**
+     * Submits the prepared request in async mode and returns the execution handle or an error response.
+     */
+    _submitAsync: function(request, capabilityId, skillName, correlationId) {
+        var result;
+        try {
+            result = sn_one_extend.OneExtendUtil.execute(request);
+        } catch (e) {
+            return this._errorResponse('PLATFORM_EXCEPTION', correlationId, 'startSkill', e.message);
+        }
+
+        var capability = result && result.capabilities && result.capabilities[capabilityId];
+        if (!capability || !capability.executionId) {
+            return this._errorResponse('CAPABILITY_MISSING', correlationId, 'startSkill',
+                'No execution handle for capability ' + capabilityId);
+        }
+
+        return {
+            executionId: capability.executionId,
+            skillName: skillName,
+            status: this._mapAsyncStatus(capability.status),
+            correlationId: correlationId
+        };
+    },
+
+    /**
+     * Looks up each skill in the registry and builds the OneExtend request for the record server-side.
+     * Returns {results, request} where results holds a 'pending' entry for every skill added to the request
+     * and a 'failed' entry for every skill that was rejected, or an error response when the record is not usable.
+     */
+    _prepareRequest: function(skillNames, tableName, sysId, mode, correlationId, refinement) {
+        if (!skillNames.length || !tableName || !sysId) {
+            return this._errorResponse('INVALID_REQUEST', correlationId, '_prepareRequest',
+                'skillName, tableName and sysId are required');
+        }
+
+        var record = new GlideRecord(tableName);
+        if (!record.isValid() || !record.get(sysId)) {
+            return this._errorResponse('RECORD_NOT_FOUND', correlationId, '_prepareRequest',
+                'Record ' + tableName + ':' + sysId + ' not found for skills ' + skillNames.join(', '));
+        }
+
+        if (!record.canRead()) {
+            return this._errorResponse('ACCESS_DENIED', correlationId, '_prepareRequest',
+                this._denialDetail(skillNames.join(', '), 'record not readable', tableName + ':' + sysId));
+        }
+
+        var results = [];
+        var executionRequests = [];
+        var requestedCapabilities = {};
+
+        for (var i = 0; i < skillNames.length; i++) {
+            var prepared = this._prepareSkill(skillNames[i], record, refinement, requestedCapabilities, correlationId);
+            if (prepared.errorCode) {
+                results.push(this._skillResult(skillNames[i], null, prepared));
+                continue;
+            }
+
+            requestedCapabilities[prepared.capabilityId] = true;
+            executionRequests.push(prepared);
+            results.push(this._skillResult(skillNames[i], prepared.capabilityId, {
+                status: 'pending'
+            }));
+        }
+
+        return {
+            results: results,
+            request: {
+                executionRequests: executionRequests,
+                mode: mode
+            }
+        };
+    },
+
+    /**
+     * Checks a single skill against the record and builds its execution request.
+     * Returns the execution request, or an error response when the skill is rejected.
+     */
+    _prepareSkill: function(skillName, record, refinement, requestedCapabilities, correlationId) {
+        var recordRef = record.getTableName() + ':' + record.getUniqueValue();
+
+        var skill = this._getSkill(skillName);
+        if (!skill) {
+            return this._errorResponse('UNKNOWN_SKILL', correlationId, '_prepareSkill',
+                'Skill "' + skillName + '" is not in ' + this.REGISTRY_PROPERTY);
+        }
+
+        if (!this._hasSkillRole(skill)) {
+            return this._errorResponse('ACCESS_DENIED', correlationId, '_prepareSkill',
+                this._denialDetail(skillName, 'missing role', recordRef));
+        }
+
+        if (skill.table !== String(record.getTableName())) {
+            return this._errorResponse('INVALID_REQUEST', correlationId, '_prepareSkill',
+                'Skill "' + skillName + '" does not accept records from table ' + record.getTableName());
+        }
+
+        // Results are keyed by capability, so a capability can only run once per request
+        if (requestedCapabilities[skill.capabilityId]) {
+            return this._errorResponse('INVALID_REQUEST', correlationId, '_prepareSkill',
+                'Capability ' + skill.capabilityId + ' of skill "' + skillName + '" is already part of the request');
+        }
+
+        if (refinement && !skill.refinementInput) {
+            return this._errorResponse('INVALID_REQUEST', correlationId, '_prepareSkill',
+                'Skill "' + skillName + '" does not accept a refinement instruction');
+        }
+
+        if (!this._isKnownCapability(skill.capabilityId)) {
+            return this._errorResponse('UNKNOWN_CAPABILITY', correlationId, '_prepareSkill',
+                'Unknown capabilityId ' + skill.capabilityId + ' for skill "' + skillName + '"');
+        }
+
+        var unreadableField = this._findUnreadableField(skill, record);
+        if (unreadableField) {
+            return this._errorResponse('ACCESS_DENIED', correlationId, '_prepareSkill',
+                this._denialDetail(skillName, 'field ' + unreadableField + ' not readable', recordRef));
+        }
+
+        var payload = this._buildPayload(skill, record, refinement);
+        var unreadable = this._findUnreadableRecord(payload);
+        if (unreadable) {
+            return this._errorResponse('ACCESS_DENIED', correlationId, '_prepareSkill',
+                this._denialDetail(skillName, 'record not readable', unreadable));
+        }
+
+        var retryAfter = this._consumeRateLimit(skillName, skill);
+        if (retryAfter > 0) {
+            var rateLimited = this._errorResponse('RATE_LIMITED', correlationId, '_prepareSkill',
+                this._denialDetail(skillName, 'rate limited for ' + retryAfter + 's', recordRef));
+            rateLimited.retryAfter = retryAfter;
+            return rateLimited;
+        }
+
+        return {
+            payload: payload,
+            capabilityId: skill.capabilityId,
+            meta: {
+                skillConfigId: skill.skillConfigId
+            }
+        };
+    },
+
+    /**
+     * Resolves a pending skill result from the OneExtend response.
+     */
+    _collectSkillResult: function(skillResult, result, exceptionMessage, correlationId) {
+        var capabilityId = skillResult.capabilityId;
+
+        if (exceptionMessage !== null) {
+            return this._skillResult(skillResult.skillName, capabilityId,
+                this._errorResponse('PLATFORM_EXCEPTION', correlationId, 'execSkill', exceptionMessage));
+        }
+
+        var capability = result && result.capabilities && result.capabilities[capabilityId];
+        if (!capability) {
+            return this._skillResult(skillResult.skillName, capabilityId,
+                this._errorResponse('CAPABILITY_MISSING', correlationId, 'execSkill', 'No response for capability ' + capabilityId));
+        }
+
+        var output = this._parseModelOutput(capability.response);
+        if (output === null) {
+            return this._skillResult(skillResult.skillName, capabilityId,
+                this._errorResponse('OUTPUT_PARSE_FAILED', correlationId, 'execSkill',
+                    'Could not read model_output for capability ' + capabilityId));
+        }
+
+        var completed = {
+            status: 'complete',
+            output: output
+        };
+
+        var skill = this._getSkill(skillResult.skillName);
+        if (skill.output) {
+            completed.fields = this._extractFields(skill.output, output);
+            if (completed.fields === null) {
+                return this._skillResult(skillResult.skillName, capabilityId,
+                    this._errorResponse('OUTPUT_PARSE_FAILED', correlationId, 'execSkill',
+                        'Could not extract fields from model_output for capability ' + capabilityId));
+            }
+        }
+
+        return this._skillResult(skillResult.skillName, capabilityId, completed);
+    },
+
+    _skillResult: function(skillName, capabilityId, outcome) {
+        var skillResult = {
+            skillName: skillName,
+            capabilityId: capabilityId
+        };
+
+        for (var key in outcome) {
+            if (key !== 'correlationId') {
+                skillResult[key] = outcome[key];
+            }
+        }
+
+        return skillResult;
+    },
+
+    /**
+     * Summarises the per-skill results. The first skill's output and, when every skill failed,
+     * the first error are also returned at the top level for single skill callers.
+     */
+    _batchResponse: function(results, correlationId) {
+        var completed = results.filter(function(skillResult) {
+            return skillResult.status === 'complete';
+        }).length;
+
+        var response = {
+            status: completed === results.length ? 'complete' : (completed > 0 ? 'partial' : 'failed'),
+            output: results[0].status === 'complete' ? results[0].output : '',
+            results: results,
+            correlationId: correlationId
+        };
+
+        if (response.status === 'failed') {
+            response.errorCode = results[0].errorCode;
+            response.message = results[0].message;
+            if (results[0].retryAfter) {
+                response.retryAfter = results[0].retryAfter;
+            }
+        }
+
+        return response;
+    },
+
+    _findPayload: function(request, capabilityId) {
+        for (var i = 0; i < request.executionRequests.length; i++) {
+            if (request.executionRequests[i].capabilityId === capabilityId) {
+                return request.executionRequests[i].payload;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * The text shown to the user for a result: the extracted fields as a {name: value} JSON object
+     * for skills with an output definition, otherwise the raw output.
+     */
+    _proposedText: function(skillResult) {
+        if (skillResult.status !== 'complete') {
+            return '';
+        }
+
+        if (!skillResult.fields) {
+            return skillResult.output;
+        }
+
+        var values = {};
+        for (var i = 0; i < skillResult.fields.length; i++) {
+            values[skillResult.fields[i].name] = skillResult.fields[i].value;
+        }
+
+        return JSON.stringify(values);
+    },
+
+    _splitSkillNames: function(skillNameParam) {
+        if (!skillNameParam) {
+            return [];
+        }
+
+        return String(skillNameParam).split(',').map(function(skillName) {
+            return skillName.trim();
+        }).filter(function(skillName) {
+            return !!skillName;
+        });
+    },
+
+    /**
+     * Maps the skill's registered inputs onto the record.
+     * A 'record' input passes the record reference, a 'field' input passes a single field value and a 'text'
+     * input passes the record rendered as prompt text by AbstractNowRecordUtils.getRecordAsPromptText.
+     * A refinement instruction is passed in the skill's refinementInput.
+     */
+    _buildPayload: function(skill, record, refinement) {
+        var payload = {};
+
+        for (var inputName in skill.inputs) {
+            var input = skill.inputs[inputName];
+
+            if (input.type === 'field') {
+                payload[inputName] = record.getValue(input.field) || '';
+            } else if (input.type === 'text') {
+                // The prompt text only holds what the user can read, whatever the registry options say
+                var options = {};
+                for (var option in input.options) {
+                    options[option] = input.options[option];
+                }
+                options.secure = true;
+                payload[inputName] = new AbstractNowRecordUtils().getRecordAsPromptText(
+                    String(record.getTableName()), record.getUniqueValue(), options);
+            } else {
+                payload[inputName] = {
+                    tableName: record.getTableName(),
+                    sysId: record.getUniqueValue(),
+                    queryString: ''
+                };
+            }
+        }
+
+        if (refinement) {
+            payload[skill.refinementInput] = String(refinement);
+        }
+
+        return payload;
+    },
+
+    /**
+     * Returns the registry entry for the skill, or null if it is not registered.
+     */
+    _getSkill: function(skillName) {
+        if (!skillName) {
+            return null;
+        }
+
+        var registry;
+        try {
+            registry = JSON.parse(gs.getProperty(this.REGISTRY_PROPERTY, '{}'));
+        } catch (e) {
+            gs.error(this.type + '._getSkill: ' + this.REGISTRY_PROPERTY + ' is not valid JSON: ' + e.message);
+            return null;
+        }
+
+        if (!registry.hasOwnProperty(skillName)) {
+            return null;
+        }
+
+        var skill = registry[skillName];
+        if (!skill || !skill.capabilityId || !skill.table) {
+            gs.error(this.type + '._getSkill: Registry entry for skill "' + skillName + '" needs a capabilityId and table');
+            return null;
+        }
+
+        skill.inputs = skill.inputs || {};
+        return skill;
+    },
+
+    /**
+     * True if the user has any of the skill's registered roles, or the skill has none.
+     */
+    _hasSkillRole: function(skill) {
+        if (!skill.roles || !skill.roles.length) {
+            return true;
+        }
+
+        for (var i = 0; i < skill.roles.length; i++) {
+            if (gs.hasRole(skill.roles[i])) {
+                return true;
+            }
+        }
+
+        return false;
+    },
+
+    /**
+     * Checks the field ACLs of every field input of the skill on the record.
+     * Returns the name of the first field the user cannot read, or null if all are readable.
+     */
+    _findUnreadableField: function(skill, record) {
+        for (var inputName in skill.inputs) {
+            var input = skill.inputs[inputName];
+            if (input.type !== 'field') {
+                continue;
+            }
+
+            var element = record.getElement(input.field);
+            if (element && !element.canRead()) {
+                return input.field;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Checks canRead on every record referenced by a tableName/sysId input of the payload.
+     * Returns 'table:sys_id' of the first record the user cannot read, or null if all are readable.
+     */
+    _findUnreadableRecord: function(payload) {
+        for (var inputName in payload) {
+            var input = payload[inputName];
+            if (!input || !input.tableName || !input.sysId) {
+                continue;
+            }
+
+            var gr = new GlideRecord(input.tableName);
+            if (!gr.isValid() || !gr.get(input.sysId) || !gr.canRead()) {
+                return input.tableName + ':' + input.sysId;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Records an execution of the skill for the current user if it is within the rate limit.
+     * Executions are kept in the u_nask_rate_limit table, which users cannot write. The execution is recorded
+     * before the recent ones are counted, so concurrent requests see each other and cannot exceed the limit
+     * together; a rejected request removes its record again.
+     * Returns 0 when allowed, otherwise the number of seconds until the next execution is allowed.
+     */
+    _consumeRateLimit: function(skillName, skill) {
+        var limit = skill.rateLimit || {};
+        var max = parseInt(limit.max || gs.getProperty(this.RATE_LIMIT_MAX_PROPERTY, '10'), 10);
+        var windowSeconds = parseInt(limit.windowSeconds || gs.getProperty(this.RATE_LIMIT_WINDOW_PROPERTY, '60'), 10);
+        var now = new GlideDateTime();
+        var windowStart = new GlideDateTime(now);
+        windowStart.addSeconds(-windowSeconds);
+
+        var expired = new GlideRecord(this.RATE_LIMIT_TABLE);
+        expired.addQuery('u_user', gs.getUserID());
+        expired.addQuery('u_skill_name', skillName);
+        expired.addQuery('sys_created_on', '<=', windowStart.getValue());
+        expired.deleteMultiple();
+
+        var execution = new GlideRecord(this.RATE_LIMIT_TABLE);
+        execution.initialize();
+        execution.setValue('u_user', gs.getUserID());
+        execution.setValue('u_skill_name', skillName);
+        var executionId = execution.insert();
+
+        var recent = new GlideRecord(this.RATE_LIMIT_TABLE);
+        recent.addQuery('u_user', gs.getUserID());
+        recent.addQuery('u_skill_name', skillName);
+        recent.addQuery('sys_created_on', '>', windowStart.getValue());
+        recent.addQuery('sys_id', '!=', executionId);
+        recent.orderBy('sys_created_on');
+        recent.query();
+
+        var createdOn = [];
+        while (recent.next()) {
+            createdOn.push(new GlideDateTime(recent.getValue('sys_created_on')).getNumericValue());
+        }
+
+        if (createdOn.length < max) {
+            return 0;
+        }
+
+        execution.deleteRecord();
+
+        // The next execution is allowed once enough of the recent ones have left the window
+        var freedAt = createdOn[createdOn.length - max] + windowSeconds * 1000;
+        return Math.max(1, Math.ceil((freedAt - now.getNumericValue()) / 1000));
+    },
+
+    _denialDetail: function(skillName, reason, recordRef) {
+        return 'Denied skill "' + skillName + '" for user ' + gs.getUserName() + ' (' + reason + ')' +
+            (recordRef ? ' on record ' + recordRef : '');
+    },
+
+    _isKnownCapability: function(capabilityId) {
+        var capability = new GlideRecord('sys_one_extend_capability');
+        return capability.get(capabilityId);
+    },
+
+    /**
+     * Returns model_output from a capability response, or null if it cannot be read.
+     */
+    _parseModelOutput: function(capabilityResponse) {
+        try {
+            var parsed = typeof capabilityResponse === 'string' ? JSON.parse(capabilityResponse) : capabilityResponse;
+            if (!parsed || parsed.model_output === undefined || parsed.model_output === null) {
+                return null;
+            }
+            return parsed.model_output;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Extracts the named fields configured in the skill's output definition from the model output.
+     * The 'json' format reads each field from a dot path (e.g. "resolution.steps[0]"), the 'sections'
+     * format splits the output on the delimiter and reads each field from a section index.
+     * Returns [{name, label, value, targetField}] in configuration order, or null if the output cannot be parsed.
+     */
+    _extractFields: function(outputDefinition, modelOutput) {
+        var source;
+
+        if (outputDefinition.format === 'json') {
+            try {
+                source = typeof modelOutput === 'string' ? JSON.parse(modelOutput) : modelOutput;
+            } catch (e) {
+                return null;
+            }
+        } else {
+            source = String(modelOutput).split(outputDefinition.delimiter || '---').map(function(section) {
+                return section.trim();
+            });
+        }
+
+        var fields = [];
+        var definitions = outputDefinition.fields || [];
+        for (var i = 0; i < definitions.length; i++) {
+            var definition = definitions[i];
+            var value = outputDefinition.format === 'json' ?
+                this._resolvePath(source, definition.path || definition.name) :
+                source[definition.section];
+
+            if (value === undefined || value === null) {
+                value = '';
+            } else if (typeof value !== 'string') {
+                value = JSON.stringify(value);
+            }
+
+            fields.push({
+                name: definition.name,
+                label: definition.label || definition.name,
+                value: value,
+                targetField: definition.targetField || ''
+            });
+        }
+
+        return fields;
+    },
+
+    _resolvePath: function(source, path) {
+        var segments = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+        var value = source;
+
+        for (var i = 0; i < segments.length; i++) {
+            if (value === undefined || value === null) {
+                return undefined;
+            }
+            value = value[segments[i]];
+        }
+
+        return value;
+    },
+
+    /**
+     * Builds the error envelope and logs the detail against the correlation id.
+     */
+    _errorResponse: function(errorCode, correlationId, methodName, detail) {
+        gs.error(this.type + '.' + methodName + ' [' + correlationId + '] ' + errorCode + ': ' + detail);
+
+        return {
+            status: 'failed',
+            errorCode: errorCode,
+            message: this.ERROR_MESSAGES[errorCode],
+            correlationId: correlationId
+        };
+    },
+
+    _mapAsyncStatus: function(platformStatus) {
+        var status = (platformStatus || '').toString().toLowerCase();
+        return this.ASYNC_STATUS_MAP[status] || 'failed';
+    },
+
     type: 'naskModalUtils'
 });
\ No newline at end of file
@@ -0,0 +1,1042 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createServer, plain } = require('./harness/glide');
+
+const INCIDENT_SYS_ID = '31bea9d1d7233100f2d224837e610375';
+const ABEL_SYS_ID = '681ccaf9c0a8016400b98a06818d57c7';
+
+function setup(options) {
+    const env = createServer(options);
+    const AbstractNowRecordUtils = env.load('AbstractNowRecordUtils');
+    return { env: env, utils: new AbstractNowRecordUtils() };
+}
+
+test('getRecordAllFields finds a record by sys_id', function() {
+    const { utils } = setup();
+
+    const record = plain(utils.getRecordAllFields('incident', INCIDENT_SYS_ID));
+
+    assert.strictEqual(record.sys_id, INCIDENT_SYS_ID);
+    assert.strictEqual(record.display_value, 'INC0010042');
+    assert.deepStrictEqual(record.caller_id, { value: ABEL_SYS_ID, display_value: 'Abel Tuter' });
+    assert.deepStrictEqual(record.priority, { value: '1', display_value: '1 - Critical' });
+});
+
+test('getRecordAllFields finds a record by number', function() {
+    const { utils } = setup();
+
+    const record = plain(utils.getRecordAllFields('incident', 'INC0010042'));
+
+    assert.strictEqual(record.sys_id, INCIDENT_SYS_ID);
+});
+
+test('getRecordAllFields includes empty fields unless excludeEmpty is set', function() {
+    const { utils } = setup();
+
+    const allFields = plain(utils.getRecordAllFields('incident', 'INC0010042'));
+    const populated = plain(utils.getRecordAllFields('incident', 'INC0010042', true));
+
+    assert.deepStrictEqual(allFields.close_notes, { value: null, display_value: '' });
+    assert.ok(!('close_notes' in populated));
+    assert.deepStrictEqual(plain(utils.getPopulatedFields('incident', 'INC0010042')), populated);
+});
+
+test('getRecordAllFields returns null and warns for an invalid table', function() {
+    const { env, utils } = setup();
+
+    assert.strictEqual(utils.getRecordAllFields('u_no_such_table', INCIDENT_SYS_ID), null);
+    assert.match(env.logsAt('warn')[0], /Table "u_no_such_table" is not valid/);
+});
+
+test('getRecordAllFields returns null for missing records and invalid input', function() {
+    const { env, utils } = setup();
+
+    assert.strictEqual(utils.getRecordAllFields('incident', 'INC9999999'), null);
+    assert.strictEqual(utils.getRecordAllFields('incident', ''), null);
+    assert.strictEqual(utils.getRecordAllFields(null, INCIDENT_SYS_ID), null);
+    assert.match(env.logsAt('info')[0], /INC9999999 not found in table incident/);
+    assert.strictEqual(env.logsAt('warn').length, 2);
+});
+
+test('getRecordAllFieldsAsJSON returns {} when the record is not found', function() {
+    const { utils } = setup();
+
+    assert.strictEqual(utils.getRecordAllFieldsAsJSON('incident', 'INC9999999'), '{}');
+    assert.strictEqual(JSON.parse(utils.getPopulatedFieldsAsJSON('incident', 'INC0010042')).sys_id, INCIDENT_SYS_ID);
+});
+
+test('getShortDescription reads the field and rejects tables without it', function() {
+    const { env, utils } = setup();
+
+    assert.strictEqual(utils.getShortDescription('incident', 'INC0010043'), 'Cannot connect to VPN');
+    assert.strictEqual(utils.getShortDescription('sys_user', ABEL_SYS_ID), null);
+    assert.match(env.logsAt('warn')[0], /Field "short_description" does not exist on table "sys_user"/);
+});
+
+test('findRelatedRecords finds records referencing a sys_id', function() {
+    const { utils } = setup();
+
+    const incidents = plain(utils.findRelatedRecords('incident', 'caller_id', ABEL_SYS_ID));
+
+    assert.deepStrictEqual(incidents.map(function(incident) {
+        return incident.display_value;
+    }), ['INC0010042', 'INC0010043']);
+});
+
+test('findRelatedRecords resolves a record number on the target table', function() {
+    const { utils } = setup();
+
+    const tasks = plain(utils.findRelatedRecords('incident_task', 'incident', 'INC0010042', 'incident'));
+
+    assert.deepStrictEqual(tasks.map(function(task) {
+        return task.display_value;
+    }), ['TASK0010001', 'TASK0010002', 'TASK0010003']);
+});
+
+test('findRelatedRecords accepts excludeEmpty in place of the target table', function() {
+    const { utils } = setup();
+
+    const incidents = plain(utils.findRelatedRecords('incident', 'caller_id', ABEL_SYS_ID, true));
+
+    assert.ok(!('description' in incidents[1]));
+    assert.deepStrictEqual(plain(utils.findPopulatedRelatedRecords('incident', 'caller_id', ABEL_SYS_ID)), incidents);
+});
+
+test('findRelatedRecords returns [] for invalid tables, fields and unresolved numbers', function() {
+    const { env, utils } = setup();
+
+    assert.deepStrictEqual(plain(utils.findRelatedRecords('u_no_such_table', 'caller_id', ABEL_SYS_ID)), []);
+    assert.deepStrictEqual(plain(utils.findRelatedRecords('incident', 'u_no_such_field', ABEL_SYS_ID)), []);
+    assert.deepStrictEqual(plain(utils.findRelatedRecords('incident', 'caller_id', 'USR404', 'sys_user')), []);
+
+    const warnings = env.logsAt('warn');
+    assert.match(warnings[0], /Table "u_no_such_table" is not valid/);
+    assert.match(warnings[1], /Field "u_no_such_field" does not exist on table "incident"/);
+    assert.match(warnings[2], /Could not resolve record identifier USR404 in table sys_user/);
+});
+
+test('findRelatedRecordsAsJSON returns the related records as a JSON array', function() {
+    const { utils } = setup();
+
+    const json = utils.findPopulatedRelatedRecordsAsJSON('incident', 'caller_id', ABEL_SYS_ID);
+
+    assert.strictEqual(JSON.parse(json).length, 2);
+    assert.strictEqual(utils.findRelatedRecordsAsJSON('incident', 'u_no_such_field', ABEL_SYS_ID), '[]');
+});
+
+function numbers(records) {
+    return records.map(function(record) {
+        return record.display_value;
+    });
+}
+
+test('getRecordAllFields only returns the whitelisted fields', function() {
+    const { utils } = setup();
+
+    const record = plain(utils.getRecordAllFields('incident', 'INC0010042', {
+        fields: 'short_description, priority, u_no_such_field'
+    }));
+
+    assert.deepStrictEqual(Object.keys(record), ['sys_id', 'display_value', 'short_description', 'priority']);
+});
+
+test('getRecordAllFields applies the encoded query as an extra condition', function() {
+    const { env, utils } = setup();
+
+    assert.strictEqual(plain(utils.getRecordAllFields('incident', 'INC0010042', { encodedQuery: 'priority=1' })).sys_id,
+        INCIDENT_SYS_ID);
+    assert.strictEqual(utils.getRecordAllFields('incident', INCIDENT_SYS_ID, { encodedQuery: 'priority=3' }), null);
+    assert.strictEqual(utils.getRecordAllFieldsAsJSON('incident', 'INC0010042', { encodedQuery: 'u_missing=1' }), '{}');
+    assert.match(env.logsAt('warn')[0], /Encoded query "u_missing=1" is not valid for table "incident"/);
+});
+
+test('findRelatedRecords filters, orders and limits the related records', function() {
+    const { utils } = setup();
+
+    const ordered = plain(utils.findRelatedRecords('incident_task', 'incident', 'INC0010042', 'incident', {
+        orderByDesc: 'number',
+        limit: 2
+    }));
+    const filtered = plain(utils.findRelatedRecords('incident_task', 'incident', INCIDENT_SYS_ID, {
+        encodedQuery: 'assigned_to=' + ABEL_SYS_ID + '^ORDERBYnumber',
+        excludeEmpty: true
+    }));
+
+    assert.deepStrictEqual(numbers(ordered), ['TASK0010003', 'TASK0010002']);
+    assert.deepStrictEqual(numbers(filtered), ['TASK0010003']);
+});
+
+test('findRelatedRecords applies the field whitelist and excludeEmpty to every record', function() {
+    const { utils } = setup();
+
+    const tasks = plain(utils.findRelatedRecords('incident_task', 'incident', INCIDENT_SYS_ID, {
+        fields: ['number', 'assigned_to'],
+        excludeEmpty: true,
+        orderBy: ['number']
+    }));
+
+    assert.deepStrictEqual(Object.keys(tasks[0]), ['sys_id', 'display_value', 'number', 'assigned_to']);
+    assert.deepStrictEqual(Object.keys(tasks[1]), ['sys_id', 'display_value', 'number']);
+});
+
+test('findRelatedRecordsPage returns a window of records with the total count', function() {
+    const { utils } = setup();
+    const options = { orderBy: 'number', limit: 2, offset: 1 };
+
+    const page = plain(utils.findRelatedRecordsPage('incident_task', 'incident', 'INC0010042', 'incident', options));
+    const rest = plain(utils.findRelatedRecordsPage('incident_task', 'incident', INCIDENT_SYS_ID, { orderBy: 'number', offset: 2 }));
+
+    assert.deepStrictEqual(numbers(page.records), ['TASK0010002', 'TASK0010003']);
+    assert.deepStrictEqual([page.totalCount, page.offset, page.limit, page.hasMore], [3, 1, 2, false]);
+    assert.deepStrictEqual(numbers(rest.records), ['TASK0010003']);
+    assert.deepStrictEqual(JSON.parse(utils.findRelatedRecordsPageAsJSON('incident_task', 'incident', INCIDENT_SYS_ID, {
+        encodedQuery: 'short_descriptionSTARTSWITHRestart'
+    })).totalCount, 1);
+});
+
+test('findRelatedRecordsPage reports more records when the window ends early', function() {
+    const { utils } = setup();
+
+    const page = plain(utils.findRelatedRecordsPage('incident_task', 'incident', INCIDENT_SYS_ID, { orderBy: 'number', limit: 1 }));
+
+    assert.deepStrictEqual(numbers(page.records), ['TASK0010001']);
+    assert.deepStrictEqual([page.totalCount, page.hasMore], [3, true]);
+});
+
+test('findRelatedRecords rejects invalid sort fields, encoded queries and windows', function() {
+    const { env, utils } = setup();
+
+    assert.deepStrictEqual(plain(utils.findRelatedRecords('incident_task', 'incident', INCIDENT_SYS_ID, { orderBy: 'u_rank' })), []);
+    assert.deepStrictEqual(plain(utils.findRelatedRecords('incident_task', 'incident', INCIDENT_SYS_ID, { encodedQuery: 'u_rank>1' })), []);
+    assert.deepStrictEqual(plain(utils.findRelatedRecordsPage('incident_task', 'incident', INCIDENT_SYS_ID, { limit: -1 })), {
+        records: [], totalCount: 0, offset: 0, limit: -1, hasMore: false
+    });
+
+    const warnings = env.logsAt('warn');
+    assert.match(warnings[0], /findRelatedRecords: Sort field "u_rank" does not exist on table "incident_task"/);
+    assert.match(warnings[1], /findRelatedRecords: Encoded query "u_rank>1" is not valid/);
+    assert.match(warnings[2], /findRelatedRecordsPage: Invalid limit "-1" provided/);
+});
+
+test('findUserInteractions finds interactions opened for a user sys_id', function() {
+    const { utils } = setup();
+
+    const interactions = plain(utils.findUserInteractions(ABEL_SYS_ID));
+
+    assert.strictEqual(interactions.length, 2);
+    assert.strictEqual(JSON.parse(utils.findPopulatedUserInteractionsAsJSON(ABEL_SYS_ID)).length, 2);
+});
+
+test('findUserInteractions resolves a user by user_name, email or name', function() {
+    const { utils } = setup();
+
+    assert.strictEqual(utils.findUserInteractions('abel.tuter').length, 2);
+    assert.strictEqual(utils.findUserInteractions('abel.tuter@example.com').length, 2);
+    assert.strictEqual(utils.findUserInteractions('Abel Tuter').length, 2);
+    assert.strictEqual(utils.findUserInteractions({ email: 'abel.tuter@example.com' }).length, 2);
+    assert.deepStrictEqual(plain(utils.findUserInteractions('admin')), []);
+});
+
+test('resolveIdentifier reports the matching field and ambiguous identifiers', function() {
+    const { env, utils } = setup();
+
+    assert.deepStrictEqual(plain(utils.resolveIdentifier('sys_user', 'admin')), {
+        status: 'found',
+        sysId: '6816f79cc0a8016401c5a33be04be441',
+        field: 'user_name',
+        matches: ['6816f79cc0a8016401c5a33be04be441']
+    });
+    assert.strictEqual(utils.resolveIdentifier('sys_user_group', 'Network').field, 'name');
+    assert.strictEqual(utils.resolveIdentifier('incident', 'INC0010042').field, 'number');
+    assert.strictEqual(utils.resolveIdentifier('sys_user', 'nobody').status, 'not_found');
+
+    const ambiguous = plain(utils.resolveIdentifier('cmdb_ci_server', 'mail-relay'));
+    assert.strictEqual(ambiguous.status, 'ambiguous');
+    assert.strictEqual(ambiguous.sysId, null);
+    assert.strictEqual(ambiguous.matches.length, 2);
+    assert.match(env.logsAt('warn')[0], /Identifier mail-relay is ambiguous in table cmdb_ci_server: more than one record matches name/);
+
+    assert.strictEqual(utils.getRecordAllFields('cmdb_ci_server', 'mail-relay'), null);
+    assert.strictEqual(utils.getRecordAllFields('cmdb_ci_server', { asset_tag: 'P1000203' }).sys_id,
+        '5f8af237c0a8010e01a932999468b83a');
+});
+
+test('identifier fields can be configured per table and apply to extending tables', function() {
+    const { env, utils } = setup({
+        properties: { 'record_utils.identifier_fields': JSON.stringify({ cmdb_ci: ['asset_tag'] }) }
+    });
+
+    assert.strictEqual(utils.resolveIdentifier('cmdb_ci_server', 'P1000201').field, 'asset_tag');
+    assert.strictEqual(utils.resolveIdentifier('cmdb_ci_server', 'mail-relay-01').field, 'name');
+
+    utils.setIdentifierFields('cmdb_ci_server', 'u_inventory_key');
+    assert.strictEqual(utils.resolveIdentifier('cmdb_ci_server', 'INV-77').sysId, 'b4fd7c8437201000deeabfc8bcbe5dc1');
+    assert.strictEqual(utils.resolveIdentifier('cmdb_ci_server', 'P1000201').status, 'not_found');
+
+    utils.setIdentifierFields('sys_user', ['u_no_such_field', 'user_name']);
+    assert.strictEqual(utils.resolveIdentifier('sys_user', 'beth.anglin').sysId, '46d44a23a9fe19810012d100cca80666');
+    assert.match(env.logsAt('warn')[0], /Identifier field "u_no_such_field" does not exist on table "sys_user"/);
+});
+
+test('identifiers resolve together with an encoded query', function() {
+    const { utils } = setup();
+
+    assert.strictEqual(utils.getRecordAllFields('sys_user', 'beth.anglin', { encodedQuery: 'nameSTARTSWITHBeth' }).sys_id,
+        '46d44a23a9fe19810012d100cca80666');
+    assert.strictEqual(utils.getRecordAllFields('sys_user', 'beth.anglin', { encodedQuery: 'nameSTARTSWITHAbel' }), null);
+});
+
+test('getRecordGraph expands dot-walk paths into nested records', function() {
+    const { utils } = setup();
+
+    const graph = plain(utils.getRecordGraph('incident', 'INC0010042', {
+        references: ['caller_id.company', 'caller_id']
+    }));
+
+    const caller = graph.caller_id.record;
+    assert.strictEqual(graph.sys_id, INCIDENT_SYS_ID);
+    assert.strictEqual(caller.sys_id, ABEL_SYS_ID);
+    assert.strictEqual(caller.company.record.city.value, 'San Diego');
+    assert.ok(!('record' in caller.company.record.contact));
+    assert.ok(!('truncated' in graph));
+});
+
+test('getRecordGraph returns related lists with their own query options and expansions', function() {
+    const { utils } = setup();
+
+    const graph = plain(utils.getRecordGraph('incident', INCIDENT_SYS_ID, {
+        relatedLists: [{
+            name: 'tasks',
+            table: 'incident_task',
+            referenceField: 'incident',
+            options: { orderByDesc: 'number', limit: 2, fields: ['number'] },
+            references: ['assigned_to']
+        }],
+        excludeEmpty: true
+    }));
+
+    const tasks = graph.related_lists.tasks;
+    assert.deepStrictEqual(numbers(tasks), ['TASK0010003', 'TASK0010002']);
+    assert.deepStrictEqual(Object.keys(tasks[0]), ['sys_id', 'display_value', 'number', 'assigned_to']);
+    assert.strictEqual(tasks[0].assigned_to.record.user_name.value, 'abel.tuter');
+    assert.deepStrictEqual(Object.keys(tasks[1]), ['sys_id', 'display_value', 'number']);
+});
+
+test('getRecordGraph marks references back to a record on the path as cycles', function() {
+    const { utils } = setup();
+
+    const graph = plain(utils.getRecordGraph('sys_user', ABEL_SYS_ID, {
+        references: ['company.contact.company']
+    }));
+
+    const contact = graph.company.record.contact;
+    assert.strictEqual(contact.value, ABEL_SYS_ID);
+    assert.strictEqual(contact.cycle, true);
+    assert.ok(!('record' in contact));
+});
+
+test('getRecordGraph stops at the maximum depth', function() {
+    const { env, utils } = setup();
+
+    const graph = plain(utils.getRecordGraph('incident', INCIDENT_SYS_ID, {
+        references: ['caller_id.company'],
+        maxDepth: 1
+    }));
+
+    assert.strictEqual(graph.caller_id.record.sys_id, ABEL_SYS_ID);
+    assert.ok(!('record' in graph.caller_id.record.company));
+    assert.match(env.logsAt('warn')[0], /Not expanding sys_user:681ccaf9c0a8016400b98a06818d57c7 beyond the maximum depth of 1/);
+});
+
+test('getRecordGraph stops expanding once the record budget is used', function() {
+    const { utils } = setup();
+
+    const graph = plain(utils.getRecordGraph('incident', INCIDENT_SYS_ID, {
+        references: ['caller_id'],
+        relatedLists: [{ name: 'tasks', table: 'incident_task', referenceField: 'incident' }],
+        maxRecords: 3
+    }));
+
+    assert.strictEqual(graph.caller_id.record.sys_id, ABEL_SYS_ID);
+    assert.deepStrictEqual(numbers(graph.related_lists.tasks), ['TASK0010001']);
+    assert.strictEqual(graph.truncated, true);
+});
+
+test('getRecordGraph applies the per table field whitelist and skips non-reference paths', function() {
+    const { env, utils } = setup();
+
+    const graph = plain(utils.getRecordGraph('incident', 'INC0010042', {
+        references: ['caller_id.company', 'short_description.x'],
+        fields: { incident: ['number'], sys_user: 'name' }
+    }));
+
+    assert.deepStrictEqual(Object.keys(graph), ['sys_id', 'display_value', 'number', 'caller_id', 'short_description']);
+    assert.deepStrictEqual(Object.keys(graph.caller_id.record), ['sys_id', 'display_value', 'name', 'company']);
+    assert.ok('record' in graph.caller_id.record.company);
+    assert.match(env.logsAt('warn')[0], /Field "short_description" on table "incident" is not a reference field/);
+});
+
+test('getRecordGraphAsJSON returns {} for a missing root record', function() {
+    const { utils } = setup();
+
+    assert.strictEqual(utils.getRecordGraphAsJSON('incident', 'INC0099999', { references: ['caller_id'] }), '{}');
+    assert.strictEqual(JSON.parse(utils.getRecordGraphAsJSON('incident', 'INC0010042')).sys_id, INCIDENT_SYS_ID);
+});
+
+test('getRecordAsPromptText renders labels, display values and expanded references', function() {
+    const { utils } = setup();
+
+    const text = utils.getRecordAsPromptText('incident', 'INC0010042', {
+        references: ['caller_id.company'],
+        fields: { sys_user: ['name', 'email'], core_company: ['name'] },
+        fieldPriority: ['short_description', 'priority']
+    });
+
+    assert.strictEqual(text, [
+        '# Incident: INC0010042',
+        'Short description: Email server is down',
+        'Priority: 1 - Critical',
+        'Number: INC0010042',
+        'Description: Users in San Diego cannot send or receive email.',
+        'Caller: Abel Tuter',
+        '  Name: Abel Tuter',
+        '  Email: abel.tuter@example.com',
+        '  Company: ACME North America',
+        '    Name: ACME North America',
+        'State: In Progress',
+        'Additional comments: |',
+        '  2024-01-15 09:55:00 - Abel Tuter (Additional comments)',
+        '  Still no email on my laptop or phone.',
+        '',
+        '  2024-01-15 09:30:00 - Abel Tuter (Additional comments)',
+        '  Email stopped working this morning.',
+        'Details: |',
+        '  Affected sites:',
+        '  - San Diego',
+        '  - Los Angeles & Irvine'
+    ].join('\n'));
+});
+
+test('getRecordAsPromptText renders related lists without the reference back to the record', function() {
+    const { utils } = setup();
+
+    const text = utils.getRecordAsPromptText('incident', INCIDENT_SYS_ID, {
+        fields: { incident: ['short_description'], incident_task: ['short_description', 'incident'] },
+        relatedLists: [
+            { table: 'incident_task', referenceField: 'incident', options: { orderBy: 'number', limit: 2 } },
+            { name: 'Interactions', table: 'interaction', referenceField: 'opened_for' }
+        ]
+    });
+
+    assert.strictEqual(text, [
+        '# Incident: INC0010042',
+        'Short description: Email server is down',
+        '',
+        '## Incident Task',
+        '- TASK0010001',
+        '  Short description: Restart mail relay',
+        '- TASK0010002',
+        '  Short description: Notify San Diego users'
+    ].join('\n'));
+});
+
+test('getRecordAsPromptText cuts long journal fields and can include system fields', function() {
+    const { utils } = setup();
+
+    const text = utils.getRecordAsPromptText('incident', 'INC0010042', {
+        fields: { incident: ['comments', 'sys_created_by'] },
+        maxFieldLength: 40,
+        includeSystemFields: true
+    });
+
+    assert.strictEqual(text, [
+        '# Incident: INC0010042',
+        'Additional comments: 2024-01-15 09:55:00 - Abel Tuter (Additi... [truncated]',
+        'sys_created_by: admin'
+    ].join('\n'));
+});
+
+test('getRecordAsPromptText keeps fields in priority order within the token budget', function() {
+    const { utils } = setup();
+
+    const text = utils.getRecordAsPromptText('incident', 'INC0010042', {
+        relatedLists: [{ table: 'incident_task', referenceField: 'incident' }],
+        fieldPriority: ['priority', 'short_description'],
+        tokenBudget: 40
+    });
+
+    assert.strictEqual(text, [
+        '# Incident: INC0010042',
+        'Priority: 1 - Critical',
+        'Short description: Email server is down',
+        'Number: INC0010042',
+        'Caller: Abel Tuter',
+        'State: In Progress',
+        '(6 more items left out to fit the token budget)'
+    ].join('\n'));
+    assert.strictEqual(utils.getRecordAsPromptText('incident', 'INC0099999'), '');
+});
+
+test('recordToPromptText renders records from findRelatedRecords', function() {
+    const { utils } = setup();
+    const incident = utils.getRecordAllFields('incident', 'INC0010044', { fields: 'short_description' });
+    const interactions = utils.findRelatedRecords('interaction', 'opened_for', ABEL_SYS_ID, { fields: 'short_description' });
+
+    const text = utils.recordToPromptText('incident', incident, {
+        'Caller interactions': { table: 'interaction', records: interactions }
+    });
+
+    assert.strictEqual(text, [
+        '# Incident: INC0010044',
+        'Short description: Printer out of toner',
+        '',
+        '## Caller interactions',
+        '- IMS0000001',
+        '  Short description: Chat about email outage',
+        '- IMS0000002',
+        '  Short description: Phone call about VPN'
+    ].join('\n'));
+});
+
+test('getJournalEntries returns the journal entries of the record oldest first', function() {
+    const { utils } = setup();
+
+    const entries = plain(utils.getJournalEntries('incident', 'INC0010042'));
+
+    assert.deepStrictEqual(entries.map(function(entry) {
+        return entry.value;
+    }), ['Email stopped working this morning.', 'Still no email on my laptop or phone.', 'Restarted the mail relay.']);
+    assert.deepStrictEqual(entries[0], {
+        sys_id: 'd0000000000000000000000000000001',
+        element: 'comments',
+        value: 'Email stopped working this morning.',
+        created_on: '2024-01-15 09:30:00',
+        created_by: 'abel.tuter'
+    });
+});
+
+test('getJournalEntries filters by element and date range', function() {
+    const { utils } = setup();
+
+    const comments = plain(utils.getJournalEntries('incident', INCIDENT_SYS_ID, {
+        elements: 'comments',
+        from: '2024-01-15 09:45:00',
+        to: '2024-01-15 10:00:00'
+    }));
+    const newest = plain(utils.getJournalEntries('incident', INCIDENT_SYS_ID, { newestFirst: true, limit: 1 }));
+
+    assert.deepStrictEqual(comments.map(function(entry) {
+        return entry.sys_id;
+    }), ['d0000000000000000000000000000002']);
+    assert.strictEqual(newest.length, 1);
+    assert.strictEqual(newest[0].element, 'work_notes');
+});
+
+test('getJournalEntries returns [] for missing records and invalid dates', function() {
+    const { env, utils } = setup();
+
+    assert.deepStrictEqual(plain(utils.getJournalEntries('incident', 'INC0099999')), []);
+    assert.deepStrictEqual(plain(utils.getJournalEntries('incident', 'INC0010042', { from: 'yesterday' })), []);
+    assert.strictEqual(utils.getJournalEntriesAsJSON('u_no_such_table', 'INC0010042'), '[]');
+
+    assert.match(env.logsAt('info')[0], /getJournalEntries: Record with identifier INC0099999 not found in table incident/);
+    assert.match(env.logsAt('warn')[0], /getJournalEntries: Invalid from date-time "yesterday" provided/);
+    assert.match(env.logsAt('warn')[1], /getJournalEntries: Table "u_no_such_table" is not valid/);
+});
+
+test('getAuditHistory returns the field changes of the record', function() {
+    const { utils } = setup();
+
+    const changes = plain(utils.getAuditHistory('incident', 'INC0010042'));
+    const stateChanges = JSON.parse(utils.getAuditHistoryAsJSON('incident', 'INC0010042', { elements: ['state'] }));
+
+    assert.deepStrictEqual(changes[0], {
+        sys_id: 'a0000000000000000000000000000001',
+        field: 'priority',
+        old_value: '3',
+        new_value: '1',
+        reason: 'Major outage',
+        created_on: '2024-01-15 09:35:00',
+        user: 'beth.anglin'
+    });
+    assert.strictEqual(changes.length, 2);
+    assert.deepStrictEqual(stateChanges.map(function(change) {
+        return [change.old_value, change.new_value];
+    }), [['1', '2']]);
+});
+
+test('getAttachments returns attachment metadata filtered by content type', function() {
+    const { utils } = setup();
+
+    const attachments = plain(utils.getAttachments('incident', INCIDENT_SYS_ID));
+    const images = JSON.parse(utils.getAttachmentsAsJSON('incident', INCIDENT_SYS_ID, { elements: ['image/png', 'image/jpeg'] }));
+
+    assert.deepStrictEqual(attachments.map(function(attachment) {
+        return attachment.file_name;
+    }), ['screenshot.png', 'relay.log']);
+    assert.deepStrictEqual(attachments[1], {
+        sys_id: 'b0000000000000000000000000000001',
+        file_name: 'relay.log',
+        content_type: 'text/plain',
+        size_bytes: 20480,
+        created_on: '2024-01-15 09:45:00',
+        created_by: 'beth.anglin'
+    });
+    assert.strictEqual(images.length, 1);
+});
+
+test('history is found through a parent table of the record', function() {
+    const { utils } = setup();
+
+    assert.strictEqual(plain(utils.getJournalEntries('task', INCIDENT_SYS_ID)).length, 3);
+    assert.strictEqual(plain(utils.getAuditHistory('task', 'INC0010042')).length, 2);
+    assert.strictEqual(plain(utils.getAttachments('task', INCIDENT_SYS_ID)).length, 2);
+});
+
+const BETH_INCIDENT_SYS_ID = 'e8caedcbc0a80164017df472f39eaed1';
+
+test('secure queries leave out unreadable fields and records', function() {
+    const { utils } = setup({ denyRead: ['incident.description', 'incident:' + BETH_INCIDENT_SYS_ID] });
+
+    const record = plain(utils.getRecordAllFields('incident', 'INC0010042', { secure: true, fields: 'number,description' }));
+    const incidents = plain(utils.findRelatedRecordsPage('incident', 'caller_id', ABEL_SYS_ID, { secure: true }));
+    const denied = utils.getRecordAllFields('incident', BETH_INCIDENT_SYS_ID, { secure: true });
+    const unsecured = plain(utils.getRecordAllFields('incident', 'INC0010042', { fields: 'description' }));
+
+    assert.deepStrictEqual(Object.keys(record), ['sys_id', 'display_value', 'number', 'redaction_report']);
+    assert.deepStrictEqual(record.redaction_report, { hidden: ['description'], redacted: [] });
+    assert.strictEqual(incidents.totalCount, 2);
+    assert.strictEqual(denied, null);
+    assert.ok('description' in unsecured);
+    assert.ok(!('redaction_report' in unsecured));
+});
+
+test('secure related record counts only include readable records', function() {
+    const { utils } = setup({ denyRead: ['incident_task:c0ffee00c0a80164017df472f39e0002'] });
+
+    const page = plain(utils.findRelatedRecordsPage('incident_task', 'incident', INCIDENT_SYS_ID, { secure: true, limit: 1 }));
+
+    assert.deepStrictEqual([page.records.length, page.totalCount, page.hasMore], [1, 2, true]);
+});
+
+test('secure related record counts stop one record past the page', function() {
+    const { utils } = setup();
+
+    const first = plain(utils.findRelatedRecordsPage('incident_task', 'incident', INCIDENT_SYS_ID, { secure: true, limit: 1 }));
+    const last = plain(utils.findRelatedRecordsPage('incident_task', 'incident', INCIDENT_SYS_ID, { secure: true, limit: 2, offset: 1 }));
+    const unsecured = plain(utils.findRelatedRecordsPage('incident_task', 'incident', INCIDENT_SYS_ID, { limit: 1 }));
+
+    assert.deepStrictEqual([first.records.length, first.totalCount, first.hasMore], [1, 2, true]);
+    assert.deepStrictEqual([last.records.length, last.totalCount, last.hasMore], [2, 3, false]);
+    assert.deepStrictEqual([unsecured.totalCount, unsecured.hasMore], [3, true]);
+});
+
+test('secure history leaves out unreadable records and the entries of unreadable fields', function() {
+    const { utils } = setup({ denyRead: ['incident.work_notes', 'incident.priority', 'incident:' + BETH_INCIDENT_SYS_ID] });
+
+    const entries = plain(utils.getJournalEntries('incident', INCIDENT_SYS_ID, { secure: true, newestFirst: true, limit: 1 }));
+    const changes = plain(utils.getAuditHistory('incident', INCIDENT_SYS_ID, { secure: true }));
+
+    assert.deepStrictEqual(entries.map(function(entry) {
+        return entry.sys_id;
+    }), ['d0000000000000000000000000000002']);
+    assert.deepStrictEqual(changes.map(function(change) {
+        return change.field;
+    }), ['state']);
+    assert.deepStrictEqual(plain(utils.getJournalEntries('incident', BETH_INCIDENT_SYS_ID, { secure: true })), []);
+    assert.deepStrictEqual(plain(utils.getAttachments('incident', BETH_INCIDENT_SYS_ID, { secure: true })), []);
+    assert.strictEqual(plain(utils.getJournalEntries('incident', INCIDENT_SYS_ID)).length, 3);
+});
+
+test('redact masks journal entries and audited values', function() {
+    const { utils } = setup();
+
+    const entries = plain(utils.getJournalEntries('incident', BETH_INCIDENT_SYS_ID, { redact: true }));
+    const changes = plain(utils.getAuditHistory('incident', INCIDENT_SYS_ID, { redact: { fields: { incident: ['priority'] } } }));
+
+    assert.strictEqual(entries[0].value, 'Please call me back at [REDACTED PHONE].');
+    assert.deepStrictEqual(changes.map(function(change) {
+        return [change.field, change.old_value, change.new_value];
+    }), [['priority', '[REDACTED]', '[REDACTED]'], ['state', '1', '2']]);
+});
+
+test('redact masks emails, phone numbers and card numbers and reports them', function() {
+    const { utils } = setup();
+
+    const record = plain(utils.getRecordAllFields('incident', BETH_INCIDENT_SYS_ID, { redact: true }));
+
+    assert.strictEqual(record.description.value,
+        'Call me at [REDACTED PHONE] or mail [REDACTED EMAIL]. Order 2024-01-15 was paid with [REDACTED CARD], ref 1234 5678 9012 3456.');
+    assert.strictEqual(record.description.display_value, record.description.value);
+    assert.strictEqual(record.caller_id.value, '46d44a23a9fe19810012d100cca80666');
+    assert.deepStrictEqual(record.redaction_report, {
+        hidden: [],
+        redacted: [
+            { field: 'description', rule: 'email', count: 1 },
+            { field: 'description', rule: 'phone', count: 1 },
+            { field: 'description', rule: 'card', count: 1 }
+        ]
+    });
+});
+
+test('redact applies field rules and custom patterns', function() {
+    const { utils } = setup();
+    const redact = {
+        fields: { sys_user: ['phone'], '*': ['short_description'] },
+        patterns: ['email', { name: 'order', pattern: 'Order \\d{4}-\\d{2}-\\d{2}' }]
+    };
+
+    const users = plain(utils.findRelatedRecords('sys_user', 'company', '81fd65ecac1d55eb42a426568fc87a63', {
+        redact: redact,
+        fields: ['name', 'email', 'phone'],
+        orderBy: 'name'
+    }));
+    const incident = plain(utils.getRecordAllFields('incident', 'INC0010044', { redact: redact, fields: 'short_description,description' }));
+
+    assert.deepStrictEqual(users[0].phone, { value: '[REDACTED]', display_value: '[REDACTED]' });
+    assert.strictEqual(users[0].email.value, '[REDACTED EMAIL]');
+    assert.deepStrictEqual(users[0].redaction_report.redacted, [
+        { field: 'email', rule: 'email', count: 1 },
+        { field: 'phone', rule: 'field', count: 1 }
+    ]);
+    assert.strictEqual(users[1].phone.value, null);
+    assert.strictEqual(incident.short_description.value, '[REDACTED]');
+    assert.match(incident.description.value, /Call me at 858-555-0199 .* \[REDACTED ORDER\] was paid/);
+});
+
+test('redact reads the rules from the system property', function() {
+    const { env, utils } = setup({
+        properties: { 'record_utils.redaction_rules': JSON.stringify({ fields: { sys_user: ['name'] }, patterns: ['phone', 'ssn'] }) }
+    });
+
+    const user = plain(utils.getRecordAllFields('sys_user', ABEL_SYS_ID, { redact: true, fields: 'name,phone,email' }));
+
+    assert.strictEqual(user.display_value, '[REDACTED]');
+    assert.strictEqual(user.name.value, '[REDACTED]');
+    assert.strictEqual(user.phone.value, '[REDACTED PHONE]');
+    assert.strictEqual(user.email.value, 'abel.tuter@example.com');
+    assert.match(env.logsAt('warn')[0], /Unknown redaction pattern "ssn"/);
+});
+
+test('secure and redact apply to record graphs and prompt text', function() {
+    const { utils } = setup({ denyRead: ['sys_user.email'] });
+
+    const graph = plain(utils.getRecordGraph('incident', 'INC0010042', { references: ['caller_id'], secure: true, redact: true }));
+    const text = utils.getRecordAsPromptText('incident', 'INC0010042', {
+        references: ['caller_id'],
+        fields: { incident: ['number'], sys_user: ['phone', 'email'] },
+        secure: true,
+        redact: true
+    });
+
+    assert.ok(!('email' in graph.caller_id.record));
+    assert.strictEqual(graph.caller_id.record.phone.value, '[REDACTED PHONE]');
+    assert.strictEqual(text, [
+        '# Incident: INC0010042',
+        'Number: INC0010042',
+        'Caller: Abel Tuter',
+        '  Business phone: [REDACTED PHONE]'
+    ].join('\n'));
+});
+
+test('related lists cannot turn off the secure and redact options of a record graph', function() {
+    const { utils } = setup({ denyRead: ['incident_task:c0ffee00c0a80164017df472f39e0003'] });
+
+    const graph = plain(utils.getRecordGraph('incident', 'INC0010042', {
+        references: ['caller_id'],
+        relatedLists: [{
+            name: 'tasks',
+            table: 'incident_task',
+            referenceField: 'incident',
+            options: { orderBy: 'number', fields: ['number'], secure: false, redact: false },
+            references: ['assigned_to']
+        }],
+        fields: { incident: ['number'], sys_user: ['email'] },
+        secure: true,
+        redact: true
+    }));
+
+    assert.deepStrictEqual(graph.related_lists.tasks.map(function(task) {
+        return task.display_value;
+    }), ['TASK0010001', 'TASK0010002']);
+    assert.strictEqual(graph.related_lists.tasks[0].assigned_to.record.email.value, '[REDACTED EMAIL]');
+});
+
+const BETH_SYS_ID = '46d44a23a9fe19810012d100cca80666';
+const ADMIN_SYS_ID = '6816f79cc0a8016401c5a33be04be441';
+
+test('getRecordAllFieldsBatch fetches the records with a single query and reports the missing ones', function() {
+    const { env, utils } = setup();
+    const missing = 'ffffffffffffffffffffffffffffffff';
+
+    const result = plain(utils.getRecordAllFieldsBatch('incident', [BETH_INCIDENT_SYS_ID, missing, INCIDENT_SYS_ID, ''],
+        { fields: 'number' }));
+
+    assert.deepStrictEqual(numbers(result.records), ['INC0010044', 'INC0010042']);
+    assert.deepStrictEqual(result.notFound, ['', missing]);
+    assert.strictEqual(env.queries.length, 1);
+    assert.deepStrictEqual(env.queries[0].conditions, [{
+        field: 'sys_id',
+        operator: 'IN',
+        value: [BETH_INCIDENT_SYS_ID, missing, INCIDENT_SYS_ID].join(',')
+    }]);
+});
+
+test('getRecordAllFieldsBatch resolves other identifiers with one query per identifier field', function() {
+    const { env, utils } = setup();
+
+    const result = plain(utils.getRecordAllFieldsBatch('sys_user',
+        ['abel.tuter', 'beth.anglin@example.com', 'System Administrator', 'nobody', 'abel.tuter@example.com'],
+        { fields: 'user_name' }));
+
+    assert.deepStrictEqual(result.records.map(function(record) {
+        return record.sys_id;
+    }), [ABEL_SYS_ID, BETH_SYS_ID, ADMIN_SYS_ID]);
+    assert.deepStrictEqual(result.notFound, ['nobody']);
+    assert.deepStrictEqual(env.queries.map(function(query) {
+        return query.conditions[0].field;
+    }), ['user_name', 'email', 'name', 'sys_id']);
+});
+
+test('getRecordAllFieldsBatch resolves identifiers that only differ in case', function() {
+    const { env, utils } = setup();
+
+    const result = plain(utils.getRecordAllFieldsBatch('sys_user', ['abel.tuter', 'Abel.Tuter', 'NoBody', 'nobody'],
+        { fields: 'user_name' }));
+
+    assert.deepStrictEqual(result.records.map(function(record) {
+        return record.sys_id;
+    }), [ABEL_SYS_ID]);
+    assert.deepStrictEqual(result.notFound, ['NoBody', 'nobody']);
+    assert.deepStrictEqual(env.queries[0].conditions[0].value, 'abel.tuter,NoBody');
+});
+
+test('getRecordAllFieldsBatch reports ambiguous identifiers and records outside the encoded query', function() {
+    const { env, utils } = setup();
+
+    const servers = plain(utils.getRecordAllFieldsBatch('cmdb_ci_server', ['mail-relay', 'mail-relay-01']));
+    const incidents = plain(utils.getRecordAllFieldsBatch('incident', ['INC0010042', 'INC0010044'],
+        { encodedQuery: 'caller_id=' + ABEL_SYS_ID }));
+
+    assert.deepStrictEqual(servers.records.map(function(record) {
+        return record.name.value;
+    }), ['mail-relay-01']);
+    assert.deepStrictEqual(servers.notFound, ['mail-relay']);
+    assert.match(env.logsAt('warn')[0], /Identifier mail-relay is ambiguous in table cmdb_ci_server/);
+    assert.deepStrictEqual(numbers(incidents.records), ['INC0010042']);
+    assert.deepStrictEqual(incidents.notFound, ['INC0010044']);
+    assert.deepStrictEqual(plain(utils.getRecordAllFieldsBatch('incident', 'INC0010042')), { records: [], notFound: [] });
+});
+
+test('findRelatedRecordsBatch groups the related records of every target record from a single query', function() {
+    const { env, utils } = setup();
+
+    const result = plain(utils.findRelatedRecordsBatch('incident_task', 'incident', ['INC0010042', 'INC0010043', 'INC0404'],
+        'incident', { orderByDesc: 'number' }));
+
+    assert.deepStrictEqual(result.results.map(function(group) {
+        return { identifier: group.identifier, sysId: group.sysId, numbers: numbers(group.records) };
+    }), [
+        { identifier: 'INC0010042', sysId: INCIDENT_SYS_ID, numbers: ['TASK0010003', 'TASK0010002', 'TASK0010001'] },
+        { identifier: 'INC0010043', sysId: '9c573169c611228700193229fff72400', numbers: [] }
+    ]);
+    assert.deepStrictEqual(result.notFound, ['INC0404']);
+    assert.deepStrictEqual(env.queries.map(function(query) {
+        return query.table;
+    }), ['incident', 'incident_task']);
+});
+
+test('findRelatedRecordsBatch runs one limited query per target record with a limit', function() {
+    const { env, utils } = setup();
+
+    const result = plain(utils.findRelatedRecordsBatch('incident_task', 'incident', ['INC0010042', 'INC0010043'],
+        'incident', { orderByDesc: 'number', limit: 2 }));
+
+    assert.deepStrictEqual(result.results.map(function(group) {
+        return numbers(group.records);
+    }), [['TASK0010003', 'TASK0010002'], []]);
+    assert.deepStrictEqual(env.queries.filter(function(query) {
+        return query.table === 'incident_task';
+    }).map(function(query) {
+        return [query.conditions[0].value, query.limit];
+    }), [[INCIDENT_SYS_ID, 2], ['9c573169c611228700193229fff72400', 2]]);
+});
+
+test('findRelatedRecordsBatch needs the target table for other identifiers than sys_ids', function() {
+    const { env, utils } = setup();
+
+    const result = plain(utils.findRelatedRecordsBatch('interaction', 'opened_for', [ABEL_SYS_ID, 'beth.anglin'], true));
+
+    assert.strictEqual(result.results[0].records.length, 2);
+    assert.deepStrictEqual(result.notFound, ['beth.anglin']);
+    assert.match(env.logsAt('warn')[0], /Could not resolve record identifier beth.anglin without a target table/);
+    assert.deepStrictEqual(plain(utils.findRelatedRecordsBatch('interaction', 'opened_for', [ABEL_SYS_ID], { offset: 1 })),
+        { results: [], notFound: [ABEL_SYS_ID] });
+});
+
+test('a caching instance reuses the records and identifiers it retrieved', function() {
+    const env = createServer();
+    const AbstractNowRecordUtils = env.load('AbstractNowRecordUtils');
+    const utils = new AbstractNowRecordUtils({ cache: true });
+
+    const first = utils.getRecordAllFields('sys_user', 'abel.tuter', { fields: 'name,email' });
+    first.name.value = 'Changed by the caller';
+    const queries = env.queries.length;
+
+    assert.strictEqual(utils.getRecordAllFields('sys_user', 'abel.tuter', { fields: 'email,name' }).name.value, 'Abel Tuter');
+    assert.strictEqual(utils.getRecordAllFields('sys_user', ABEL_SYS_ID, { fields: ['name', 'email'] }).sys_id, ABEL_SYS_ID);
+    assert.strictEqual(env.queries.length, queries);
+
+    // Another field set or an encoded query needs the database again
+    utils.getRecordAllFields('sys_user', ABEL_SYS_ID, { fields: 'name' });
+    utils.getRecordAllFields('sys_user', ABEL_SYS_ID, { fields: 'name,email', encodedQuery: 'nameSTARTSWITHAbel' });
+    assert.strictEqual(env.queries.length, queries + 2);
+
+    // Related records fill the cache for later lookups and batches
+    utils.findRelatedRecords('incident_task', 'incident', INCIDENT_SYS_ID, { fields: 'number' });
+    const tasks = plain(utils.getRecordAllFieldsBatch('incident_task', ['TASK0010001', 'TASK0010003'], { fields: 'number' }));
+    assert.deepStrictEqual(numbers(tasks.records), ['TASK0010001', 'TASK0010003']);
+    assert.strictEqual(env.queries.filter(function(query) {
+        return query.table === 'incident_task' && query.conditions[0].field === 'sys_id';
+    }).length, 0);
+
+    utils.clearCache();
+    utils.getRecordAllFields('sys_user', ABEL_SYS_ID, { fields: 'name,email' });
+    assert.strictEqual(env.queries.length, queries + 5);
+});
+
+function incident(env, sysId) {
+    return env.records('incident').filter(function(record) {
+        return record.sys_id === sysId;
+    })[0];
+}
+
+test('diffRecord returns the field by field diff without writing', function() {
+    const { env, utils } = setup();
+    const journalEntries = env.records('sys_journal_field').length;
+
+    const result = plain(utils.diffRecord('incident', 'INC0010042', {
+        priority: { value: 2 },
+        caller_id: { value: 'beth.anglin' },
+        short_description: { value: 'Email is down for San Diego users' },
+        description: { value: 'Mail relay restarted.', append: true },
+        work_notes: { value: 'Lowered the priority, a workaround is in place.' }
+    }));
+
+    assert.strictEqual(result.status, 'dry_run');
+    assert.strictEqual(result.sysId, INCIDENT_SYS_ID);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.diff[0], {
+        field: 'priority',
+        label: 'Priority',
+        operation: 'set',
+        before: { value: '1', display_value: '1 - Critical' },
+        after: { value: '2', display_value: '2 - High' }
+    });
+    assert.deepStrictEqual(result.diff[1].after, { value: BETH_SYS_ID, display_value: 'Beth Anglin' });
+    assert.strictEqual(result.diff[3].operation, 'append');
+    assert.strictEqual(result.diff[3].after.value,
+        incident(env, INCIDENT_SYS_ID).description + '\nMail relay restarted.');
+    assert.deepStrictEqual(result.diff[4], {
+        field: 'work_notes',
+        label: 'Work notes',
+        operation: 'append',
+        before: { value: '', display_value: '' },
+        after: {
+            value: 'Lowered the priority, a workaround is in place.',
+            display_value: 'Lowered the priority, a workaround is in place.'
+        }
+    });
+    assert.strictEqual(incident(env, INCIDENT_SYS_ID).priority, '1');
+    assert.strictEqual(env.records('sys_journal_field').length, journalEntries);
+});
+
+test('updateRecord writes the changes and adds journal entries', function() {
+    const { env, utils } = setup();
+
+    const result = plain(utils.updateRecord('incident', INCIDENT_SYS_ID, {
+        state: { value: '6' },
+        caller_id: { value: ABEL_SYS_ID },
+        work_notes: { value: 'Investigating the mail relay.' }
+    }));
+
+    assert.strictEqual(result.status, 'updated');
+    assert.deepStrictEqual(result.diff.map(function(entry) {
+        return entry.field;
+    }), ['state', 'work_notes']);
+    assert.strictEqual(incident(env, INCIDENT_SYS_ID).state, '6');
+
+    const entry = env.records('sys_journal_field').slice(-1)[0];
+    assert.strictEqual(entry.element_id, INCIDENT_SYS_ID);
+    assert.strictEqual(entry.element, 'work_notes');
+    assert.strictEqual(entry.value, 'Investigating the mail relay.');
+
+    assert.strictEqual(utils.updateRecord('incident', INCIDENT_SYS_ID, { state: { value: '6' } }).status, 'unchanged');
+});
+
+test('updateRecord rejects every change when one is invalid', function() {
+    const { env, utils } = setup();
+
+    const result = plain(utils.updateRecord('incident', 'INC0010042', {
+        short_description: { value: 'Still valid' },
+        priority: { value: '9' },
+        caller_id: { value: 'nobody' },
+        u_no_such_field: { value: 'x' },
+        sys_created_by: { value: 'someone' },
+        close_notes: 'Not in the {value} shape'
+    }));
+    const task = plain(utils.updateRecord('incident_task', 'TASK0010001', { due_date: { value: 'next week' } }));
+
+    assert.strictEqual(result.status, 'rejected');
+    assert.deepStrictEqual(result.errors.map(function(error) {
+        return error.field + ':' + error.code;
+    }), [
+        'priority:INVALID_CHOICE',
+        'caller_id:INVALID_REFERENCE',
+        'u_no_such_field:UNKNOWN_FIELD',
+        'sys_created_by:READ_ONLY_FIELD',
+        'close_notes:INVALID_VALUE'
+    ]);
+    assert.strictEqual(incident(env, INCIDENT_SYS_ID).short_description, 'Email server is down');
+    assert.deepStrictEqual(task.errors.map(function(error) {
+        return error.code;
+    }), ['INVALID_DATE']);
+    assert.strictEqual(utils.updateRecord('incident', 'INC0404', { state: { value: '2' } }), null);
+    assert.strictEqual(utils.updateRecord('incident', 'INC0010042', null), null);
+});
+
+test('updateRecord respects write ACLs unless secure is turned off', function() {
+    const { env, utils } = setup({ denyWrite: ['incident.priority', 'incident:' + BETH_INCIDENT_SYS_ID] });
+
+    const field = plain(utils.updateRecord('incident', 'INC0010042', { priority: { value: '3' } }));
+    const record = plain(utils.updateRecord('incident', 'INC0010044', { state: { value: '2' } }));
+    const trusted = plain(utils.updateRecord('incident', 'INC0010042', { priority: { value: '3' } }, { secure: false }));
+
+    assert.deepStrictEqual(field.errors, [{
+        field: 'priority',
+        code: 'WRITE_DENIED',
+        message: 'Field cannot be updated by the current user.'
+    }]);
+    assert.strictEqual(record.status, 'rejected');
+    assert.strictEqual(record.errors[0].field, null);
+    assert.strictEqual(trusted.status, 'updated');
+    assert.strictEqual(incident(env, INCIDENT_SYS_ID).priority, '3');
+});
+
+test('updateRecord takes back a retrieved record without writing its redacted values', function() {
+    const { env, utils } = setup();
+
+    const record = utils.getRecordAllFields('incident', BETH_INCIDENT_SYS_ID, { redact: true });
+    record.state.value = '2';
+    record.short_description.value = 'Resolved by the service desk';
+
+    const result = plain(utils.updateRecord('incident', BETH_INCIDENT_SYS_ID, record));
+
+    assert.strictEqual(result.status, 'updated');
+    assert.deepStrictEqual(result.diff.map(function(entry) {
+        return entry.field;
+    }), ['short_description', 'state']);
+    assert.doesNotMatch(incident(env, BETH_INCIDENT_SYS_ID).description, /REDACTED/);
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createServer } = require('./harness/glide');
+const { createClient } = require('./harness/client');
+
+const ESCALATION_CAPABILITY = '8080d1dc2b4c2e1053a3f76dce91bf87';
+const RESOLUTION_CAPABILITY = '9191d1dc2b4c2e1053a3f76dce91bf98';
+
+function setup() {
+    const server = createServer({
+        properties: {
+            'nask.modal.skill_registry': JSON.stringify({
+                incident_escalation: {
+                    capabilityId: ESCALATION_CAPABILITY,
+                    table: 'incident',
+                    refinementInput: 'refinement',
+                    inputs: { incident: { type: 'record' } }
+                },
+                incident_resolution: {
+                    capabilityId: RESOLUTION_CAPABILITY,
+                    table: 'incident',
+                    inputs: { incident: { type: 'record' } },
+                    output: {
+                        format: 'json',
+                        fields: [
+                            { name: 'summary', targetField: 'work_notes' },
+                            { name: 'resolution' }
+                        ]
+                    }
+                }
+            })
+        }
+    });
+    server.load('naskAuditUtils');
+    server.oneExtend.respondWithExecutions({ [ESCALATION_CAPABILITY]: 'exec-1', [RESOLUTION_CAPABILITY]: 'exec-2' });
+
+    return { server: server, client: createClient(server) };
+}
+
+function runUiAction(client, scriptName) {
+    client.load(scriptName);
+    client.context.onClick(client.form);
+    return client.settle();
+}
+
+test('ExampleWorkspaceUiActionWithAjax writes the skill output to work_notes and saves', async function() {
+    const { server, client } = setup();
+    server.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'success', 'Escalate to the email team.');
+
+    await runUiAction(client, 'ExampleWorkspaceUiActionWithAjax');
+
+    assert.strictEqual(client.form.values.work_notes, 'Escalate to the email team.');
+    assert.strictEqual(client.form.saves, 1);
+});
+
+test('ExampleWorkspaceUiActionMultiField saves each extracted value to its form field', async function() {
+    const { server, client } = setup();
+    server.oneExtend.respondWithStatus(RESOLUTION_CAPABILITY, 'success',
+        JSON.stringify({ summary: 'Relay crashed.', resolution: 'Restarted relay.' }));
+
+    await runUiAction(client, 'ExampleWorkspaceUiActionMultiField');
+
+    assert.deepStrictEqual(client.form.values, { work_notes: 'Relay crashed.', close_notes: 'Restarted relay.' });
+    assert.strictEqual(client.form.saves, 1);
+});
@@ -0,0 +1,238 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createServer } = require('./harness/glide');
+const { createClient } = require('./harness/client');
+
+const INCIDENT_SYS_ID = '31bea9d1d7233100f2d224837e610375';
+const ESCALATION_CAPABILITY = '8080d1dc2b4c2e1053a3f76dce91bf87';
+const RESOLUTION_CAPABILITY = '9191d1dc2b4c2e1053a3f76dce91bf98';
+
+const REGISTRY = {
+    incident_escalation: {
+        capabilityId: ESCALATION_CAPABILITY,
+        table: 'incident',
+        refinementInput: 'refinement',
+        inputs: { incident: { type: 'record' } }
+    },
+    incident_resolution: {
+        capabilityId: RESOLUTION_CAPABILITY,
+        table: 'incident',
+        inputs: { incident: { type: 'record' } },
+        output: {
+            format: 'json',
+            fields: [
+                { name: 'summary', label: 'Summary', targetField: 'work_notes' },
+                { name: 'resolution', label: 'Resolution', targetField: 'u_resolution' }
+            ]
+        }
+    }
+};
+
+function setup() {
+    const server = createServer({ properties: { 'nask.modal.skill_registry': JSON.stringify(REGISTRY) } });
+    server.load('naskAuditUtils');
+    server.oneExtend.respondWithExecutions({ [ESCALATION_CAPABILITY]: 'exec-1', [RESOLUTION_CAPABILITY]: 'exec-2' });
+
+    const client = createClient(server, { sysId: INCIDENT_SYS_ID });
+    return { server: server, client: client };
+}
+
+function fieldValue(config, name) {
+    return config.fields.filter(function(field) {
+        return field.name === name;
+    })[0].value;
+}
+
+test('run polls until the skill completes, then writes the reviewed output and saves', async function() {
+    const { server, client } = setup();
+    let polls = 0;
+    server.oneExtend.statusHandler = function() {
+        polls++;
+        return {
+            capabilities: {
+                [ESCALATION_CAPABILITY]: polls < 3 ?
+                    { status: 'in_progress' } :
+                    { status: 'success', response: JSON.stringify({ model_output: 'Escalate.' }) }
+            }
+        };
+    };
+    client.modal.onShowFields = function(config) {
+        return [{ name: config.fields[0].name, value: 'Escalate now.' }];
+    };
+
+    client.load('NaskModal').run({ form: client.form, skill: 'incident_escalation', targetField: 'work_notes' });
+    await client.settle();
+
+    assert.strictEqual(client.modal.frames[0].url, 'https://example.service-now.com/genai.gif');
+    assert.strictEqual(polls, 3);
+    assert.strictEqual(client.form.values.work_notes, 'Escalate now.');
+    assert.strictEqual(client.form.saves, 1);
+
+    const audit = server.records('u_nask_skill_audit')[0];
+    assert.strictEqual(audit.u_final_text, 'Escalate now.');
+    assert.strictEqual(audit.u_changed, 'true');
+});
+
+test('run shows a separate error modal and never writes to the form', async function() {
+    const { server, client } = setup();
+    server.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'error');
+
+    client.load('NaskModal').run({ form: client.form, skill: 'incident_escalation', targetField: 'work_notes' });
+    await client.settle();
+
+    assert.strictEqual(client.modal.alerts.length, 1);
+    assert.strictEqual(client.modal.alerts[0].title, 'Now Assist Skill Error');
+    assert.match(client.modal.alerts[0].message, /^The Now Assist skill failed to complete\. Reference: \w+/);
+    assert.strictEqual(client.modal.shownFields.length, 0);
+    assert.deepStrictEqual(client.form.values, {});
+    assert.strictEqual(client.form.saves, 0);
+});
+
+test('run passes errors to onError when given', async function() {
+    const { client } = setup();
+    const errors = [];
+
+    client.load('NaskModal').run({
+        form: client.form,
+        skill: 'incident_missing',
+        onError: function(errorResponse) {
+            errors.push(errorResponse.errorCode);
+        }
+    });
+    await client.settle();
+
+    assert.deepStrictEqual(errors, ['UNKNOWN_SKILL']);
+    assert.strictEqual(client.modal.alerts.length, 0);
+});
+
+test('run asks whether to keep waiting once the timeout is reached and stops on cancel', async function() {
+    const { server, client } = setup();
+    server.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'in_progress');
+    client.modal.confirmAnswer = false;
+
+    client.load('NaskModal').run({ form: client.form, skill: 'incident_escalation', timeoutMs: 5000 });
+    await client.settle();
+
+    assert.strictEqual(client.modal.confirms.length, 1);
+    assert.deepStrictEqual(client.form.infoMessages, ['Now Assist skill execution was cancelled.']);
+    assert.strictEqual(client.modal.shownFields.length, 0);
+    assert.strictEqual(server.records('u_nask_skill_audit')[0].u_status, 'cancelled');
+});
+
+test('run cancels the execution when the loading frame is closed', async function() {
+    const { server, client } = setup();
+    server.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'in_progress');
+
+    client.load('NaskModal').run({ form: client.form, skill: 'incident_escalation' });
+    await client.settle(1);
+    client.modal.closeFrame();
+    await client.settle();
+
+    const polls = client.ajaxCalls.filter(function(call) {
+        return call.params.sysparm_name === 'getSkillStatus';
+    });
+    assert.strictEqual(polls.length, 2);
+    assert.strictEqual(client.ajaxCalls[client.ajaxCalls.length - 1].params.sysparm_name, 'cancelSkill');
+    assert.deepStrictEqual(client.form.infoMessages, ['Now Assist skill execution was cancelled.']);
+    assert.strictEqual(client.modal.confirms.length, 0);
+    assert.strictEqual(server.records('u_nask_skill_audit')[0].u_status, 'cancelled');
+});
+
+test('run cancels an execution whose loading frame is closed before it started', async function() {
+    const { server, client } = setup();
+    server.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'success', 'Escalate.');
+    const submit = server.oneExtend.executeHandler;
+    server.oneExtend.executeHandler = function(request) {
+        client.modal.closeFrame();
+        return submit(request);
+    };
+
+    client.load('NaskModal').run({ form: client.form, skill: 'incident_escalation' });
+    await client.settle();
+
+    assert.strictEqual(server.oneExtend.statusCalls.length, 0);
+    assert.strictEqual(client.ajaxCalls[1].params.sysparm_name, 'cancelSkill');
+    assert.strictEqual(client.modal.shownFields.length, 0);
+    assert.deepStrictEqual(client.form.infoMessages, ['Now Assist skill execution was cancelled.']);
+    assert.strictEqual(server.records('u_nask_skill_audit')[0].u_status, 'cancelled');
+});
+
+test('run keeps the outcome when the loading frame closes after the execution finished', async function() {
+    const { server, client } = setup();
+    server.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'success', 'Escalate.');
+    client.modal.onShowFields = function() {
+        return null;
+    };
+
+    client.load('NaskModal').run({ form: client.form, skill: 'incident_escalation' });
+    await client.settle();
+    client.modal.closeFrame();
+    await client.settle();
+
+    assert.strictEqual(client.modal.shownFields.length, 1);
+    assert.deepStrictEqual(client.form.infoMessages, []);
+    assert.strictEqual(server.records('u_nask_skill_audit')[0].u_status, 'complete');
+});
+
+test('run maps extracted fields to their target fields', async function() {
+    const { server, client } = setup();
+    server.oneExtend.respondWithStatus(RESOLUTION_CAPABILITY, 'success',
+        JSON.stringify({ summary: 'Relay crashed.', resolution: 'Restarted relay.' }));
+
+    client.load('NaskModal').run({
+        form: client.form,
+        skill: 'incident_resolution',
+        fields: [{ name: 'resolution', targetField: 'close_notes' }],
+        save: false
+    });
+    await client.settle();
+
+    assert.deepStrictEqual(client.form.values, { work_notes: 'Relay crashed.', close_notes: 'Restarted relay.' });
+    assert.strictEqual(client.form.saves, 0);
+    assert.strictEqual(server.records('u_nask_skill_audit')[0].u_changed, 'false');
+});
+
+test('run regenerates with a refinement and lets the user go back to an earlier version', async function() {
+    const { server, client } = setup();
+    let executions = 0;
+    server.oneExtend.statusHandler = function() {
+        return {
+            capabilities: {
+                [ESCALATION_CAPABILITY]: { status: 'success', response: JSON.stringify({ model_output: 'Version ' + executions }) }
+            }
+        };
+    };
+    const executeHandler = server.oneExtend.executeHandler;
+    server.oneExtend.executeHandler = function(request) {
+        executions++;
+        return executeHandler(request);
+    };
+
+    const steps = [
+        { naskNextAction: 'regenerate', naskRefinement: 'Mention the relay' },
+        { naskNextAction: 'show_version', naskVersion: '0' },
+        { naskNextAction: 'save' }
+    ];
+    client.modal.onShowFields = function(config) {
+        const step = steps.shift();
+        return config.fields.map(function(field) {
+            return { name: field.name, value: step[field.name] !== undefined ? step[field.name] : field.value };
+        });
+    };
+
+    client.load('NaskModal').run({ form: client.form, skill: 'incident_escalation', targetField: 'work_notes', refine: true });
+    await client.settle();
+
+    const shown = client.modal.shownFields;
+    assert.strictEqual(shown.length, 3);
+    assert.strictEqual(fieldValue(shown[1], 'nowAssistSkillOutput'), 'Version 2');
+    assert.strictEqual(fieldValue(shown[2], 'nowAssistSkillOutput'), 'Version 1');
+    assert.strictEqual(server.oneExtend.calls[1].executionRequests[0].payload.refinement, 'Mention the relay');
+    assert.strictEqual(client.form.values.work_notes, 'Version 1');
+
+    const audits = server.records('u_nask_skill_audit');
+    assert.strictEqual(audits[0].u_accepted, 'true');
+    assert.strictEqual(audits[1].u_accepted, undefined);
+});
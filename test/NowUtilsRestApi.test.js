@@ -0,0 +1,314 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createServer } = require('./harness/glide');
+
+const INCIDENT_SYS_ID = '31bea9d1d7233100f2d224837e610375';
+const BETH_INCIDENT_SYS_ID = 'e8caedcbc0a80164017df472f39eaed1';
+const ESCALATION_CAPABILITY = '8080d1dc2b4c2e1053a3f76dce91bf87';
+
+const REGISTRY = {
+    incident_escalation: {
+        capabilityId: ESCALATION_CAPABILITY,
+        table: 'incident',
+        roles: ['itil'],
+        refinementInput: 'refinement',
+        inputs: {
+            summary: { type: 'field', field: 'short_description' }
+        }
+    }
+};
+
+function setup(options) {
+    options = options || {};
+    const env = createServer({
+        properties: Object.assign({ 'nask.modal.skill_registry': JSON.stringify(REGISTRY) }, options.properties),
+        user: options.user,
+        denyRead: options.denyRead
+    });
+    env.load('AbstractNowRecordUtils');
+    env.load('naskAuditUtils');
+    env.load('naskModalUtils');
+
+    env.call = function(methodName, request) {
+        return env.rest('NowUtilsRestApi', methodName, request);
+    };
+    return env;
+}
+
+function incidentPath(params) {
+    return Object.assign({ table: 'incident', id: 'INC0010042' }, params);
+}
+
+test('getRecord returns the record in the AbstractNowRecordUtils shape', function() {
+    const env = setup();
+
+    const response = env.call('getRecord', {
+        pathParams: incidentPath(),
+        queryParams: { fields: 'number,priority,caller_id' }
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.status, 'complete');
+    assert.ok(response.body.correlationId);
+    assert.strictEqual(response.body.record.sys_id, INCIDENT_SYS_ID);
+    assert.deepStrictEqual(response.body.record.priority, { value: '1', display_value: '1 - Critical' });
+    assert.deepStrictEqual(Object.keys(response.body.record).sort(),
+        ['caller_id', 'display_value', 'number', 'priority', 'redaction_report', 'sys_id']);
+});
+
+test('getRecord reads securely and redacts unless the property turns redaction off', function() {
+    const env = setup({ denyRead: ['incident.short_description'] });
+
+    const redacted = env.call('getRecord', {
+        pathParams: incidentPath({ id: BETH_INCIDENT_SYS_ID }),
+        queryParams: { fields: 'short_description,description' }
+    }).body.record;
+
+    assert.ok(!('short_description' in redacted));
+    assert.match(redacted.description.value, /\[REDACTED PHONE\]/);
+
+    env.properties['now_utils.rest.redact'] = 'false';
+    const plainRecord = env.call('getRecord', {
+        pathParams: incidentPath({ id: BETH_INCIDENT_SYS_ID }),
+        queryParams: { fields: 'description' }
+    }).body.record;
+    assert.doesNotMatch(plainRecord.description.value, /REDACTED/);
+});
+
+test('record resources map failures onto error codes and HTTP statuses', function() {
+    const env = setup({ denyRead: ['incident:' + INCIDENT_SYS_ID] });
+
+    const cases = [
+        [{ table: 'u_no_such_table', id: 'x' }, 400, 'INVALID_REQUEST'],
+        [{ table: 'incident', id: 'INC0404' }, 404, 'RECORD_NOT_FOUND'],
+        [{ table: 'cmdb_ci_server', id: 'mail-relay' }, 400, 'INVALID_REQUEST'],
+        [{ table: 'incident', id: 'INC0010042' }, 404, 'RECORD_NOT_FOUND']
+    ];
+
+    cases.forEach(function(testCase) {
+        const response = env.call('getRecord', { pathParams: testCase[0] });
+        assert.strictEqual(response.status, testCase[1]);
+        assert.strictEqual(response.body.status, 'failed');
+        assert.strictEqual(response.body.errorCode, testCase[2]);
+        assert.ok(response.body.message);
+        assert.ok(response.body.correlationId);
+    });
+});
+
+test('records the caller cannot read are reported like missing records', function() {
+    const env = setup({ denyRead: ['incident:' + INCIDENT_SYS_ID, 'sys_user'] });
+
+    const responses = [
+        env.call('getRecord', { pathParams: incidentPath() }),
+        env.call('getRecord', { pathParams: incidentPath({ id: INCIDENT_SYS_ID }) }),
+        env.call('getRecord', { pathParams: incidentPath({ id: 'INC0404' }) }),
+        env.call('getRecord', { pathParams: { table: 'sys_user', id: 'abel.tuter@example.com' } }),
+        env.call('getRecord', { pathParams: { table: 'sys_user', id: 'nobody@example.com' } }),
+        env.call('getRelatedRecords', { pathParams: incidentPath({ relatedTable: 'incident_task', referenceField: 'incident' }) })
+    ];
+
+    responses.forEach(function(response) {
+        assert.strictEqual(response.status, 404);
+        assert.strictEqual(response.body.errorCode, 'RECORD_NOT_FOUND');
+        assert.strictEqual(response.body.message, 'The record could not be found.');
+    });
+});
+
+test('record resources need one of the API roles', function() {
+    const env = setup({ user: { roles: ['snc_internal'] } });
+
+    const denied = env.call('getRecord', { pathParams: incidentPath() });
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(denied.body.errorCode, 'ACCESS_DENIED');
+    assert.match(env.logsAt('error')[0], /NowUtilsRestApi.getRecord \[[0-9a-f-]+\] ACCESS_DENIED: User admin has none of the API roles itil/);
+
+    env.properties['now_utils.rest.roles'] = 'itil, snc_internal';
+    assert.strictEqual(env.call('getRecord', { pathParams: incidentPath() }).status, 200);
+});
+
+test('getRelatedRecords pages through the related records', function() {
+    const env = setup();
+
+    const response = env.call('getRelatedRecords', {
+        pathParams: incidentPath({ relatedTable: 'incident_task', referenceField: 'incident' }),
+        queryParams: { orderByDesc: 'number', limit: 2, offset: 1, fields: 'number' }
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers['X-Total-Count'], '3');
+    assert.deepStrictEqual(response.body.records.map(function(record) {
+        return record.display_value;
+    }), ['TASK0010002', 'TASK0010001']);
+    assert.strictEqual(response.body.totalCount, 3);
+    assert.strictEqual(response.body.offset, 1);
+    assert.strictEqual(response.body.limit, 2);
+    assert.strictEqual(response.body.hasMore, false);
+});
+
+test('getRelatedRecords caps the page size and rejects invalid parameters', function() {
+    const env = setup();
+    const pathParams = incidentPath({ relatedTable: 'incident_task', referenceField: 'incident' });
+
+    assert.strictEqual(env.call('getRelatedRecords', { pathParams: pathParams }).body.limit, 20);
+    assert.strictEqual(env.call('getRelatedRecords', { pathParams: pathParams, queryParams: { limit: 5000 } }).body.limit, 100);
+
+    const invalid = [
+        { pathParams: incidentPath({ relatedTable: 'incident_task', referenceField: 'u_no_such_field' }) },
+        { pathParams: pathParams, queryParams: { limit: '-1' } },
+        { pathParams: pathParams, queryParams: { orderBy: 'u_no_such_field' } },
+        { pathParams: pathParams, queryParams: { encodedQuery: 'u_no_such_field=1' } }
+    ];
+    invalid.forEach(function(request) {
+        const response = env.call('getRelatedRecords', request);
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.body.errorCode, 'INVALID_REQUEST');
+    });
+});
+
+test('getRecordGraph expands the record from the request body and keeps it secure', function() {
+    const env = setup({ denyRead: ['incident_task:c0ffee00c0a80164017df472f39e0003'] });
+
+    const response = env.call('getRecordGraph', {
+        pathParams: incidentPath(),
+        body: {
+            references: ['caller_id.company'],
+            relatedLists: [{
+                name: 'tasks',
+                table: 'incident_task',
+                referenceField: 'incident',
+                options: { orderBy: 'number', secure: false, redact: false }
+            }],
+            fields: { incident: ['number'], sys_user: ['name'], core_company: ['name'], incident_task: ['number'] }
+        }
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.record.caller_id.record.company.record.name.value, 'ACME North America');
+    assert.deepStrictEqual(response.body.record.related_lists.tasks.map(function(record) {
+        return record.display_value;
+    }), ['TASK0010001', 'TASK0010002']);
+});
+
+test('getRecordGraph caps the depth and record budget of the expansion', function() {
+    const env = setup();
+    const body = {
+        relatedLists: [{ name: 'tasks', table: 'incident_task', referenceField: 'incident', options: { limit: 1000 } }],
+        fields: { incident: ['number'], incident_task: ['number'] }
+    };
+    const expansions = [];
+    const getRecordGraph = env.context.AbstractNowRecordUtils.prototype.getRecordGraph;
+    env.context.AbstractNowRecordUtils.prototype.getRecordGraph = function(tableName, recordIdentifier, expansion) {
+        expansions.push([expansion.maxDepth, expansion.maxRecords]);
+        return getRecordGraph.apply(this, arguments);
+    };
+
+    env.call('getRecordGraph', { pathParams: incidentPath(), body: body });
+    const capped = env.call('getRecordGraph', { pathParams: incidentPath(), body: Object.assign({ maxDepth: 50, maxRecords: 100000 }, body) });
+    const budget = env.call('getRecordGraph', { pathParams: incidentPath(), body: Object.assign({ maxRecords: 2 }, body) });
+    const invalid = env.call('getRecordGraph', { pathParams: incidentPath(), body: { maxRecords: -1 } });
+
+    assert.deepStrictEqual(expansions, [[3, 100], [3, 100], [3, 2]]);
+    assert.strictEqual(capped.status, 200);
+    assert.strictEqual(budget.body.record.related_lists.tasks.length, 1);
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.errorCode, 'INVALID_REQUEST');
+});
+
+test('executeSkill runs the skill through naskModalUtils on a record identifier', function() {
+    const env = setup();
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'Escalate to the email team.' });
+
+    const response = env.call('executeSkill', {
+        pathParams: incidentPath({ skillName: 'incident_escalation' }),
+        body: { refinement: 'Keep it short.' }
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.status, 'complete');
+    assert.strictEqual(response.body.output, 'Escalate to the email team.');
+    assert.ok(response.body.results[0].auditId);
+    assert.deepStrictEqual(env.oneExtend.calls[0].executionRequests[0].payload, {
+        summary: 'Email server is down',
+        refinement: 'Keep it short.'
+    });
+});
+
+test('executeSkill starts async executions that getSkillStatus follows', function() {
+    const env = setup();
+    env.oneExtend.respondWithExecutions({ [ESCALATION_CAPABILITY]: 'exec-1' });
+    env.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'running');
+
+    const started = env.call('executeSkill', {
+        pathParams: incidentPath({ id: INCIDENT_SYS_ID, skillName: 'incident_escalation' }),
+        body: { async: true }
+    });
+    const statusRequest = { pathParams: { skillName: 'incident_escalation', executionId: 'exec-1' } };
+    const pending = env.call('getSkillStatus', statusRequest);
+    env.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'success', 'Escalated.');
+    const complete = env.call('getSkillStatus', statusRequest);
+
+    assert.strictEqual(started.status, 202);
+    assert.strictEqual(started.body.executionId, 'exec-1');
+    assert.strictEqual(pending.status, 202);
+    assert.strictEqual(complete.status, 200);
+    assert.strictEqual(complete.body.output, 'Escalated.');
+});
+
+test('executeSkill only runs async for an explicit true and rejects other async values', function() {
+    const env = setup();
+    env.oneExtend.respondWithExecutions({ [ESCALATION_CAPABILITY]: 'exec-1' });
+    const run = function(async) {
+        return env.call('executeSkill', {
+            pathParams: incidentPath({ skillName: 'incident_escalation' }),
+            body: { async: async }
+        });
+    };
+
+    const started = run('true');
+    const invalid = [run('yes'), run(1), run('False')];
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'Escalate.' });
+    const synchronous = [run(false), run('false')];
+
+    assert.strictEqual(started.status, 202);
+    assert.deepStrictEqual(invalid.map(function(response) {
+        return [response.status, response.body.errorCode];
+    }), [[400, 'INVALID_REQUEST'], [400, 'INVALID_REQUEST'], [400, 'INVALID_REQUEST']]);
+    assert.match(env.logsAt('error')[0], /executeSkill \[\w+\] INVALID_REQUEST: Invalid async value "yes"/);
+    assert.deepStrictEqual(synchronous.map(function(response) {
+        return response.body.output;
+    }), ['Escalate.', 'Escalate.']);
+    assert.strictEqual(env.oneExtend.calls.length, 3);
+});
+
+test('getSkillStatus does not report executions of other users', function() {
+    const env = setup();
+    env.oneExtend.respondWithExecutions({ [ESCALATION_CAPABILITY]: 'exec-1' });
+    env.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'success', 'Escalated.');
+
+    env.call('executeSkill', { pathParams: incidentPath({ skillName: 'incident_escalation' }), body: { async: true } });
+    env.user = { sys_id: '46d44a23a9fe19810012d100cca80666', user_name: 'beth.anglin', roles: ['itil'] };
+    const response = env.call('getSkillStatus', { pathParams: { skillName: 'incident_escalation', executionId: 'exec-1' } });
+
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.body.errorCode, 'ACCESS_DENIED');
+    assert.strictEqual(response.body.output, undefined);
+});
+
+test('skill errors keep the naskModalUtils envelope with a matching HTTP status', function() {
+    const env = setup({ properties: { 'nask.modal.rate_limit.max': '1' } });
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'Escalate.' });
+    const request = { pathParams: incidentPath({ skillName: 'incident_escalation' }) };
+
+    const unknown = env.call('executeSkill', { pathParams: incidentPath({ skillName: 'incident_missing' }) });
+    env.call('executeSkill', request);
+    const limited = env.call('executeSkill', request);
+
+    assert.strictEqual(unknown.status, 404);
+    assert.strictEqual(unknown.body.errorCode, 'UNKNOWN_SKILL');
+    assert.strictEqual(unknown.body.message, 'The requested Now Assist skill is not registered.');
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.body.errorCode, 'RATE_LIMITED');
+    assert.strictEqual(limited.headers['Retry-After'], String(limited.body.retryAfter));
+});
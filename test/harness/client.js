@@ -0,0 +1,205 @@
+'use strict';
+
+/**
+ * In-memory stand-ins for the workspace client APIs (g_form, g_modal, GlideAjax, g_ui_scripts).
+ *
+ * createClient() returns a client whose GlideAjax calls are answered by the script includes loaded in
+ * the given server environment, so a UI action can be run end to end. Modal interactions are scripted
+ * by the test and timers only run when the test settles the client.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { REPO_ROOT } = require('./glide');
+
+/**
+ * @param {object} server - An environment from createServer().
+ * @param {object} [options]
+ * @param {string} [options.table='incident'] - Table of the form.
+ * @param {string} [options.sysId] - sys_id of the form's record.
+ * @param {object} [options.values] - Initial form values.
+ */
+function createClient(server, options) {
+    options = options || {};
+
+    const client = {
+        ajaxCalls: [],
+        timers: [],
+        loaded: {}
+    };
+
+    client.form = createForm(options);
+    client.modal = createModal();
+    client.context = vm.createContext({
+        g_form: client.form,
+        g_modal: client.modal,
+        // Shares the server clock so client-side timeouts follow the settled timers
+        Date: server.context.Date,
+        getMessage: function(message) {
+            return message;
+        },
+        window: {
+            location: { protocol: 'https:', host: 'example.service-now.com' }
+        },
+        setTimeout: function(callback, delay) {
+            client.timers.push({ callback: callback, delay: delay });
+        },
+        GlideAjax: createGlideAjaxClass(server, client),
+        g_ui_scripts: {
+            getUIScript: function(name) {
+                return Promise.resolve(client.load(name));
+            }
+        }
+    });
+
+    /**
+     * Loads a client script from the repository root and returns the value the script evaluates to,
+     * as g_ui_scripts.getUIScript() does.
+     */
+    client.load = function(scriptName) {
+        if (!(scriptName in client.loaded)) {
+            const source = fs.readFileSync(path.join(REPO_ROOT, scriptName + '.js'), 'utf8');
+            client.loaded[scriptName] = vm.runInContext(source, client.context, { filename: scriptName + '.js' });
+        }
+        return client.loaded[scriptName];
+    };
+
+    /**
+     * Runs pending callbacks and timers until the client is idle. Each timer advances the server clock
+     * by its delay. Stops after maxSteps timers so a never-ending poll cannot hang the test.
+     */
+    client.settle = async function(maxSteps) {
+        let steps = maxSteps === undefined ? 50 : maxSteps;
+        for (;;) {
+            await new Promise(function(resolve) {
+                setImmediate(resolve);
+            });
+            if (!client.timers.length || steps-- <= 0) {
+                return;
+            }
+            const timer = client.timers.shift();
+            server.advance(timer.delay || 0);
+            timer.callback();
+        }
+    };
+
+    return client;
+}
+
+function createForm(options) {
+    const form = {
+        table: options.table || 'incident',
+        sysId: options.sysId || '31bea9d1d7233100f2d224837e610375',
+        values: Object.assign({}, options.values),
+        saves: 0,
+        infoMessages: [],
+
+        getTableName: function() {
+            return form.table;
+        },
+        getUniqueValue: function() {
+            return form.sysId;
+        },
+        getValue: function(fieldName) {
+            return form.values[fieldName] === undefined ? '' : form.values[fieldName];
+        },
+        setValue: function(fieldName, value) {
+            form.values[fieldName] = value;
+        },
+        save: function() {
+            form.saves++;
+        },
+        addInfoMessage: function(message) {
+            form.infoMessages.push(message);
+        }
+    };
+
+    return form;
+}
+
+/**
+ * g_modal stand-in. showFields resolves with the result of `onShowFields(config)`, which defaults to
+ * submitting every field unchanged. Returning null leaves the modal open (never resolves).
+ * showFrame resolves once the test closes the frame with `closeFrame()`.
+ */
+function createModal() {
+    const modal = {
+        frames: [],
+        shownFields: [],
+        alerts: [],
+        confirms: [],
+        confirmAnswer: true,
+        onShowFields: null,
+        frameClosers: [],
+
+        showFrame: function(config) {
+            modal.frames.push(config);
+            return new Promise(function(resolve) {
+                modal.frameClosers.push(resolve);
+            });
+        },
+
+        closeFrame: function() {
+            modal.frameClosers.pop()({});
+        },
+
+        showFields: function(config) {
+            modal.shownFields.push(config);
+            const updatedFields = modal.onShowFields ? modal.onShowFields(config) : submitUnchanged(config);
+            if (updatedFields === null) {
+                return new Promise(function() {});
+            }
+            return Promise.resolve({ updatedFields: updatedFields });
+        },
+
+        alert: function(title, message) {
+            modal.alerts.push({ title: title, message: message });
+        },
+
+        confirm: function(title, message, callback) {
+            modal.confirms.push({ title: title, message: message });
+            callback(modal.confirmAnswer);
+        }
+    };
+
+    return modal;
+}
+
+function submitUnchanged(config) {
+    return config.fields.map(function(field) {
+        return { name: field.name, value: field.value };
+    });
+}
+
+function createGlideAjaxClass(server, client) {
+    function GlideAjax(processor) {
+        this.processor = processor.replace(/^global\./, '');
+        this.params = {};
+    }
+
+    GlideAjax.prototype = {
+        addParam: function(name, value) {
+            this.params[name] = value;
+        },
+
+        getXMLAnswer: function(callback) {
+            const params = this.params;
+            const call = { processor: this.processor, params: Object.assign({}, params) };
+            client.ajaxCalls.push(call);
+
+            const instance = server.ajax(this.processor, params);
+            call.answer = instance[params.sysparm_name]();
+
+            Promise.resolve().then(function() {
+                callback(call.answer);
+            });
+        }
+    };
+
+    return GlideAjax;
+}
+
+module.exports = {
+    createClient: createClient
+};
@@ -0,0 +1,1033 @@
+'use strict';
+
+/**
+ * In-memory stand-ins for the server-side Glide APIs the script includes use.
+ *
+ * createServer() returns an environment whose tables are seeded from JSON fixtures, whose gs logs are
+ * recorded and whose sn_one_extend.OneExtendUtil responses are scripted by the test. Script includes are
+ * loaded into the environment's own VM context, the way they share one scope on an instance.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const SYSTEM_FIELDS = ['sys_id', 'sys_created_on', 'sys_created_by', 'sys_updated_on', 'sys_updated_by'];
+const DEFAULT_NOW = Date.UTC(2024, 0, 15, 10, 0, 0);
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', name + '.json'), 'utf8'));
+}
+
+function newSysId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function pad(number) {
+    return number < 10 ? '0' + number : String(number);
+}
+
+function formatDateTime(ms) {
+    const d = new Date(ms);
+    return d.getUTCFullYear() + '-' + pad(d.getUTCMonth() + 1) + '-' + pad(d.getUTCDate()) + ' ' +
+        pad(d.getUTCHours()) + ':' + pad(d.getUTCMinutes()) + ':' + pad(d.getUTCSeconds());
+}
+
+function parseDateTime(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2}):(\d{2}))?$/.exec(String(value));
+    if (!match) {
+        return NaN;
+    }
+    return Date.UTC(+match[1], +match[2] - 1, +match[3], +(match[4] || 0), +(match[5] || 0), +(match[6] || 0));
+}
+
+/**
+ * Builds the table store from fixture definitions:
+ * {table: {label, extends, displayField, fields: {name: {label, type, reference, choices}}, records: [...]}}
+ */
+function createDatabase(tables) {
+    const db = {};
+
+    Object.keys(tables).forEach(function(tableName) {
+        const definition = tables[tableName];
+        const fields = {};
+
+        SYSTEM_FIELDS.forEach(function(fieldName) {
+            fields[fieldName] = {
+                label: fieldName === 'sys_id' ? 'Sys ID' : fieldName,
+                type: fieldName === 'sys_id' ? 'GUID' : (/_on$/.test(fieldName) ? 'glide_date_time' : 'string')
+            };
+        });
+        Object.keys(definition.fields || {}).forEach(function(fieldName) {
+            fields[fieldName] = Object.assign({ label: fieldName, type: 'string' }, definition.fields[fieldName]);
+        });
+
+        db[tableName] = {
+            name: tableName,
+            label: definition.label || tableName,
+            extends: definition.extends || null,
+            displayField: definition.displayField || (fields.number ? 'number' : (fields.name ? 'name' : 'sys_id')),
+            fields: fields,
+            records: (definition.records || []).map(function(record) {
+                return Object.assign({
+                    sys_id: newSysId(),
+                    sys_created_on: formatDateTime(DEFAULT_NOW),
+                    sys_created_by: 'admin'
+                }, record);
+            })
+        };
+    });
+
+    return db;
+}
+
+function toStringValue(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value === 'object' && typeof value.getValue === 'function') {
+        return value.getValue();
+    }
+    return String(value);
+}
+
+/**
+ * Creates a server-side environment.
+ *
+ * @param {object} [options]
+ * @param {object} [options.tables] - Table fixtures, defaults to fixtures/tables.json.
+ * @param {object} [options.properties] - System property values by name.
+ * @param {object} [options.user] - {sys_id, user_name, roles} of the session user.
+ * @param {string[]} [options.denyRead] - 'table' or 'table:sys_id' entries canRead() returns false for, and
+ *                                        'table.field' entries GlideElement.canRead() returns false for.
+ * @param {string[]} [options.denyWrite] - The same entries for canWrite(). GlideRecordSecure.update() fails for
+ *                                         denied records.
+ */
+function createServer(options) {
+    options = options || {};
+
+    const env = {
+        db: createDatabase(options.tables || loadFixture('tables')),
+        properties: Object.assign({}, options.properties),
+        user: Object.assign({
+            sys_id: '6816f79cc0a8016401c5a33be04be441',
+            user_name: 'admin',
+            roles: ['admin']
+        }, options.user),
+        preferences: {},
+        denyRead: options.denyRead || [],
+        denyWrite: options.denyWrite || [],
+        logs: [],
+        queries: [],
+        now: DEFAULT_NOW,
+        loaded: {}
+    };
+
+    env.logsAt = function(level) {
+        return env.logs.filter(function(entry) {
+            return entry.level === level;
+        }).map(function(entry) {
+            return entry.message;
+        });
+    };
+
+    env.advance = function(ms) {
+        env.now += ms;
+    };
+
+    env.oneExtend = createOneExtend();
+    env.context = vm.createContext({});
+    installGlobals(env);
+
+    /**
+     * Loads a script from the repository root into the environment and returns the value it defines.
+     */
+    env.load = function(scriptName) {
+        if (!env.loaded[scriptName]) {
+            const source = fs.readFileSync(path.join(REPO_ROOT, scriptName + '.js'), 'utf8');
+            vm.runInContext(source, env.context, { filename: scriptName + '.js' });
+            env.loaded[scriptName] = true;
+        }
+        return env.context[scriptName];
+    };
+
+    /**
+     * Instantiates a client callable script include the way GlideAjax does, with the given request parameters.
+     */
+    env.ajax = function(className, params) {
+        const ScriptInclude = env.load(className);
+        return new ScriptInclude({
+            getParameter: function(name) {
+                return Object.prototype.hasOwnProperty.call(params, name) && params[name] !== undefined ?
+                    String(params[name]) : null;
+            }
+        });
+    };
+
+    /**
+     * Calls a Scripted REST API handler of a script include with {pathParams, queryParams, body} and returns
+     * the response as {status, headers, body}. Query parameters are passed as arrays, as the platform does.
+     */
+    env.rest = function(className, methodName, request) {
+        const Handler = env.load(className);
+        request = request || {};
+
+        const queryParams = {};
+        Object.keys(request.queryParams || {}).forEach(function(name) {
+            queryParams[name] = [String(request.queryParams[name])];
+        });
+
+        const response = { status: null, headers: {}, body: null };
+        new Handler()[methodName]({
+            pathParams: request.pathParams || {},
+            queryParams: queryParams,
+            body: { data: request.body === undefined ? null : request.body }
+        }, {
+            setStatus: function(status) {
+                response.status = status;
+            },
+            setHeader: function(name, value) {
+                response.headers[name] = value;
+            },
+            setBody: function(body) {
+                response.body = JSON.parse(JSON.stringify(body));
+            }
+        });
+
+        return response;
+    };
+
+    env.records = function(tableName) {
+        return env.db[tableName].records;
+    };
+
+    return env;
+}
+
+/**
+ * Scriptable sn_one_extend.OneExtendUtil. Tests set `execute` / `getExecutionStatus` handlers
+ * or use the respondWith helpers; every call is recorded.
+ */
+function createOneExtend() {
+    const oneExtend = {
+        calls: [],
+        statusCalls: [],
+        executeHandler: null,
+        statusHandler: null,
+
+        execute: function(request) {
+            oneExtend.calls.push(JSON.parse(JSON.stringify(request)));
+            if (!oneExtend.executeHandler) {
+                throw new Error('No OneExtend response scripted');
+            }
+            return oneExtend.executeHandler(request);
+        },
+
+        getExecutionStatus: function(executionId) {
+            oneExtend.statusCalls.push(executionId);
+            if (!oneExtend.statusHandler) {
+                throw new Error('No OneExtend status scripted');
+            }
+            return oneExtend.statusHandler(executionId);
+        },
+
+        /**
+         * Responds to execute with the given model_output per capability id.
+         */
+        respondWithOutputs: function(outputs) {
+            oneExtend.executeHandler = function() {
+                const capabilities = {};
+                Object.keys(outputs).forEach(function(capabilityId) {
+                    capabilities[capabilityId] = {
+                        status: 'success',
+                        response: JSON.stringify({ model_output: outputs[capabilityId] })
+                    };
+                });
+                return { status: 'success', capabilities: capabilities };
+            };
+        },
+
+        /**
+         * Accepts async requests with the given execution id per capability id.
+         */
+        respondWithExecutions: function(executionIds) {
+            oneExtend.executeHandler = function() {
+                const capabilities = {};
+                Object.keys(executionIds).forEach(function(capabilityId) {
+                    capabilities[capabilityId] = { status: 'queued', executionId: executionIds[capabilityId] };
+                });
+                return { status: 'success', capabilities: capabilities };
+            };
+        },
+
+        /**
+         * Reports the given capability state (and model_output once complete) for every execution.
+         */
+        respondWithStatus: function(capabilityId, status, modelOutput) {
+            oneExtend.statusHandler = function() {
+                const capabilities = {};
+                capabilities[capabilityId] = { status: status };
+                if (modelOutput !== undefined) {
+                    capabilities[capabilityId].response = JSON.stringify({ model_output: modelOutput });
+                }
+                return { capabilities: capabilities };
+            };
+        }
+    };
+
+    return oneExtend;
+}
+
+function installGlobals(env) {
+    const context = env.context;
+
+    // Date follows the environment clock so time based logic is deterministic
+    const RealDate = Date;
+    function FakeDate() {
+        if (arguments.length === 0) {
+            return new RealDate(env.now);
+        }
+        return new (Function.prototype.bind.apply(RealDate, [null].concat(Array.prototype.slice.call(arguments))))();
+    }
+    FakeDate.now = function() {
+        return env.now;
+    };
+    FakeDate.UTC = RealDate.UTC;
+    FakeDate.parse = RealDate.parse;
+    context.Date = FakeDate;
+
+    // Class.create and Object.extendsObject are defined inside the context, as the platform does
+    vm.runInContext([
+        'var Class = {',
+        '    create: function() {',
+        '        return function() {',
+        '            this.initialize.apply(this, arguments);',
+        '        };',
+        '    }',
+        '};',
+        'Object.extendsObject = function(parent, properties) {',
+        '    var destination = {};',
+        '    var name;',
+        '    for (name in parent.prototype) {',
+        '        destination[name] = parent.prototype[name];',
+        '    }',
+        '    for (name in properties) {',
+        '        destination[name] = properties[name];',
+        '    }',
+        '    return destination;',
+        '};'
+    ].join('\n'), context);
+
+    context.AbstractAjaxProcessor = function() {};
+    context.AbstractAjaxProcessor.prototype = {
+        initialize: function(request, responseXML, gc) {
+            this.request = request;
+            this.responseXML = responseXML;
+            this.gc = gc;
+        },
+
+        getParameter: function(name) {
+            return this.request ? this.request.getParameter(name) : null;
+        }
+    };
+
+    context.gs = createGs(env);
+    context.GlideRecord = createGlideRecordClass(env, false);
+    context.GlideRecordSecure = createGlideRecordClass(env, true);
+    context.GlideAggregate = createGlideAggregateClass(context.GlideRecord);
+    context.TableUtils = createTableUtilsClass(env);
+    context.GlideDateTime = createGlideDateTimeClass(env);
+    context.sn_one_extend = { OneExtendUtil: env.oneExtend };
+}
+
+function createGs(env) {
+    function log(level) {
+        return function(message) {
+            env.logs.push({ level: level, message: String(message) });
+        };
+    }
+
+    return {
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        debug: log('debug'),
+
+        getProperty: function(name, defaultValue) {
+            return Object.prototype.hasOwnProperty.call(env.properties, name) ? env.properties[name] : defaultValue;
+        },
+
+        generateGUID: function() {
+            return newSysId();
+        },
+
+        getUserID: function() {
+            return env.user.sys_id;
+        },
+
+        getUserName: function() {
+            return env.user.user_name;
+        },
+
+        hasRole: function(role) {
+            return env.user.roles.indexOf('admin') !== -1 || env.user.roles.indexOf(role) !== -1;
+        },
+
+        getUser: function() {
+            return {
+                getID: function() {
+                    return env.user.sys_id;
+                },
+                getName: function() {
+                    return env.user.user_name;
+                },
+                getPreference: function(name) {
+                    const key = env.user.sys_id + ':' + name;
+                    return Object.prototype.hasOwnProperty.call(env.preferences, key) ? env.preferences[key] : null;
+                },
+                savePreference: function(name, value) {
+                    env.preferences[env.user.sys_id + ':' + name] = String(value);
+                }
+            };
+        }
+    };
+}
+
+function createGlideDateTimeClass(env) {
+    function GlideDateTime(value) {
+        this._ms = value === undefined ? env.now : (value instanceof GlideDateTime ? value._ms : parseDateTime(value));
+    }
+
+    GlideDateTime.prototype = {
+        isValid: function() {
+            return !isNaN(this._ms);
+        },
+        getNumericValue: function() {
+            return this._ms;
+        },
+        addSeconds: function(seconds) {
+            this._ms += seconds * 1000;
+        },
+        getValue: function() {
+            return formatDateTime(this._ms);
+        },
+        getDisplayValue: function() {
+            return formatDateTime(this._ms);
+        },
+        toString: function() {
+            return formatDateTime(this._ms);
+        }
+    };
+
+    return GlideDateTime;
+}
+
+/**
+ * A Java List like wrapper, as returned by GlideRecord.getFields().
+ */
+function javaList(items) {
+    return {
+        size: function() {
+            return items.length;
+        },
+        get: function(index) {
+            return items[index];
+        }
+    };
+}
+
+const OPERATORS = {
+    '=': function(actual, expected) {
+        return actual === expected;
+    },
+    '!=': function(actual, expected) {
+        return actual !== expected;
+    },
+    'IN': function(actual, expected) {
+        return String(expected).split(',').indexOf(actual) !== -1;
+    },
+    'NOT IN': function(actual, expected) {
+        return String(expected).split(',').indexOf(actual) === -1;
+    },
+    'CONTAINS': function(actual, expected) {
+        return actual !== null && actual.indexOf(expected) !== -1;
+    },
+    'STARTSWITH': function(actual, expected) {
+        return actual !== null && actual.indexOf(expected) === 0;
+    },
+    '>': function(actual, expected) {
+        return actual !== null && actual > expected;
+    },
+    '>=': function(actual, expected) {
+        return actual !== null && actual >= expected;
+    },
+    '<': function(actual, expected) {
+        return actual !== null && actual < expected;
+    },
+    '<=': function(actual, expected) {
+        return actual !== null && actual <= expected;
+    },
+    'ISEMPTY': function(actual) {
+        return actual === null || actual === '';
+    },
+    'ISNOTEMPTY': function(actual) {
+        return actual !== null && actual !== '';
+    }
+};
+
+// Encoded query operators, longest first so '!=' is not read as '='
+const ENCODED_OPERATORS = [
+    ['ISNOTEMPTY', 'ISNOTEMPTY'],
+    ['ISEMPTY', 'ISEMPTY'],
+    ['STARTSWITH', 'STARTSWITH'],
+    ['NOT IN', 'NOT IN'],
+    ['LIKE', 'CONTAINS'],
+    ['IN', 'IN'],
+    ['!=', '!='],
+    ['>=', '>='],
+    ['<=', '<='],
+    ['>', '>'],
+    ['<', '<'],
+    ['=', '=']
+];
+
+/**
+ * Parses the AND-only subset of encoded queries the tests use:
+ * conditions joined with '^', plus ORDERBY<field> and ORDERBYDESC<field> terms.
+ *
+ * @returns {object} - {conditions, orderBy}, or null if a term cannot be parsed.
+ */
+function parseEncodedQuery(encodedQuery) {
+    const parsed = { conditions: [], orderBy: [] };
+    const terms = String(encodedQuery).split('^');
+
+    for (let i = 0; i < terms.length; i++) {
+        const term = terms[i];
+        if (!term) {
+            continue;
+        }
+        if (term.indexOf('ORDERBYDESC') === 0) {
+            parsed.orderBy.push({ field: term.substring(11), descending: true });
+            continue;
+        }
+        if (term.indexOf('ORDERBY') === 0) {
+            parsed.orderBy.push({ field: term.substring(7), descending: false });
+            continue;
+        }
+
+        const match = /^([a-z_][a-z0-9_.]*)(.*)$/.exec(term);
+        if (!match) {
+            return null;
+        }
+        const operator = ENCODED_OPERATORS.filter(function(candidate) {
+            return match[2].indexOf(candidate[0]) === 0;
+        })[0];
+        if (!operator) {
+            return null;
+        }
+        parsed.conditions.push({
+            field: match[1],
+            operator: operator[1],
+            value: match[2].substring(operator[0].length)
+        });
+    }
+
+    return parsed;
+}
+
+function createGlideRecordClass(env, secure) {
+    function GlideRecord(tableName) {
+        this._tableName = tableName;
+        this._table = env.db[tableName] || null;
+        this._conditions = [];
+        this._orderBy = [];
+        this._limit = null;
+        this._window = null;
+        this._results = [];
+        this._index = -1;
+        this._current = null;
+        this._changed = {};
+    }
+
+    GlideRecord.prototype = {
+        isValid: function() {
+            return this._table !== null;
+        },
+
+        isValidField: function(fieldName) {
+            return this._table !== null && Object.prototype.hasOwnProperty.call(this._table.fields, fieldName);
+        },
+
+        getTableName: function() {
+            return this._tableName;
+        },
+
+        getClassDisplayValue: function() {
+            return this._table ? this._table.label : '';
+        },
+
+        getDisplayName: function() {
+            return this._table ? this._table.displayField : '';
+        },
+
+        initialize: function() {
+            this._current = {};
+            this._index = -1;
+        },
+
+        addQuery: function(fieldName, operator, value) {
+            if (arguments.length === 2) {
+                value = operator;
+                operator = '=';
+            }
+            this._conditions.push({ field: fieldName, operator: String(operator).toUpperCase(), value: value });
+            return this;
+        },
+
+        addNullQuery: function(fieldName) {
+            this._conditions.push({ field: fieldName, operator: 'ISEMPTY', value: null });
+        },
+
+        addNotNullQuery: function(fieldName) {
+            this._conditions.push({ field: fieldName, operator: 'ISNOTEMPTY', value: null });
+        },
+
+        orderBy: function(fieldName) {
+            this._orderBy.push({ field: fieldName, descending: false });
+        },
+
+        orderByDesc: function(fieldName) {
+            this._orderBy.push({ field: fieldName, descending: true });
+        },
+
+        setLimit: function(limit) {
+            this._limit = limit;
+        },
+
+        chooseWindow: function(firstRow, lastRow) {
+            this._window = { first: firstRow, last: lastRow };
+        },
+
+        addEncodedQuery: function(encodedQuery) {
+            const parsed = parseEncodedQuery(encodedQuery);
+            if (!parsed) {
+                throw new Error('Unsupported encoded query ' + encodedQuery);
+            }
+            this._conditions = this._conditions.concat(parsed.conditions);
+            this._orderBy = this._orderBy.concat(parsed.orderBy);
+        },
+
+        isEncodedQueryValid: function(encodedQuery) {
+            const self = this;
+            const parsed = parseEncodedQuery(encodedQuery);
+            return parsed !== null && parsed.conditions.concat(parsed.orderBy).every(function(term) {
+                return self.isValidField(term.field);
+            });
+        },
+
+        query: function() {
+            if (!this._table) {
+                throw new Error('Invalid table ' + this._tableName);
+            }
+
+            const self = this;
+            let results = this._classRecords().filter(function(record) {
+                return self._matches(record) && (!secure || self._readable(record));
+            });
+
+            // The first orderBy is the primary sort, later ones break ties
+            const orderBy = this._orderBy;
+            results = results.slice().sort(function(a, b) {
+                for (let i = 0; i < orderBy.length; i++) {
+                    const order = orderBy[i];
+                    const left = a[order.field] === undefined || a[order.field] === null ? '' : String(a[order.field]);
+                    const right = b[order.field] === undefined || b[order.field] === null ? '' : String(b[order.field]);
+                    const comparison = left < right ? -1 : (left > right ? 1 : 0);
+                    if (comparison !== 0) {
+                        return order.descending ? -comparison : comparison;
+                    }
+                }
+                return 0;
+            });
+
+            if (this._window !== null) {
+                results = results.slice(this._window.first, this._window.last);
+            } else if (this._limit !== null) {
+                results = results.slice(0, this._limit);
+            }
+
+            this._results = results;
+            this._index = -1;
+            this._current = null;
+            env.queries.push({ table: this._tableName, conditions: this._conditions.slice(), limit: this._limit });
+        },
+
+        next: function() {
+            this._index++;
+            this._changed = {};
+            if (this._index < this._results.length) {
+                this._current = Object.assign({}, this._results[this._index]);
+                return true;
+            }
+            this._current = null;
+            return false;
+        },
+
+        hasNext: function() {
+            return this._index + 1 < this._results.length;
+        },
+
+        getRowCount: function() {
+            return this._results.length;
+        },
+
+        get: function(fieldOrSysId, value) {
+            if (!this._table) {
+                return false;
+            }
+            if (arguments.length === 1) {
+                value = fieldOrSysId;
+                fieldOrSysId = 'sys_id';
+            }
+
+            this._conditions = [{ field: fieldOrSysId, operator: '=', value: value }];
+            this._orderBy = [];
+            this._limit = null;
+            this._window = null;
+            this.query();
+            return this.next();
+        },
+
+        getUniqueValue: function() {
+            return this._current ? this._current.sys_id || null : null;
+        },
+
+        getRecordClassName: function() {
+            const sysId = this.getUniqueValue();
+            const className = tableHierarchy(env, this._tableName).filter(function(tableName) {
+                return env.db[tableName].records.some(function(record) {
+                    return record.sys_id === sysId;
+                });
+            })[0];
+            return className || this._tableName;
+        },
+
+        getValue: function(fieldName) {
+            if (!this._current) {
+                return null;
+            }
+            const value = this._current[fieldName];
+            return value === undefined || value === null || value === '' ? null : String(value);
+        },
+
+        setValue: function(fieldName, value) {
+            if (!this._current) {
+                this._current = {};
+            }
+            this._current[fieldName] = toStringValue(value);
+            this._changed[fieldName] = true;
+        },
+
+        getDisplayValue: function(fieldName) {
+            if (!this._current) {
+                return '';
+            }
+            if (fieldName === undefined) {
+                return displayValueOf(env, this._table, this._current);
+            }
+            return fieldDisplayValue(env, this._table, fieldName, this._current[fieldName]);
+        },
+
+        getElement: function(fieldName) {
+            return this.isValidField(fieldName) ? createElement(env, this, fieldName) : null;
+        },
+
+        getFields: function() {
+            const self = this;
+            return javaList(Object.keys(this._table.fields).map(function(fieldName) {
+                return createElement(env, self, fieldName);
+            }));
+        },
+
+        canRead: function() {
+            return this._current ? this._readable(this._current) : !isDenied(env.denyRead, this._tableName, null);
+        },
+
+        canWrite: function() {
+            return !isDenied(env.denyWrite, this._tableName, this._current ? this._current.sys_id : null);
+        },
+
+        insert: function() {
+            const record = Object.assign({}, this._current);
+            record.sys_id = record.sys_id || newSysId();
+            record.sys_created_on = formatDateTime(env.now);
+            record.sys_created_by = env.user.user_name;
+            record.sys_updated_on = record.sys_created_on;
+            record.sys_updated_by = env.user.user_name;
+            this._table.records.push(record);
+            this._current = Object.assign({}, record);
+            return record.sys_id;
+        },
+
+        update: function() {
+            const sysId = this.getUniqueValue();
+            const records = env.db[this.getRecordClassName()].records;
+            if (secure && !this.canWrite()) {
+                return null;
+            }
+
+            for (let i = 0; i < records.length; i++) {
+                if (records[i].sys_id === sysId) {
+                    this._writeJournalEntries(records[i]);
+                    this._current.sys_updated_on = formatDateTime(env.now);
+                    this._current.sys_updated_by = env.user.user_name;
+                    records[i] = Object.assign({}, this._current);
+                    this._changed = {};
+                    return sysId;
+                }
+            }
+            return null;
+        },
+
+        deleteRecord: function() {
+            const sysId = this.getUniqueValue();
+            const records = env.db[this.getRecordClassName()].records;
+            const index = records.findIndex(function(record) {
+                return record.sys_id === sysId;
+            });
+            if (index === -1) {
+                return false;
+            }
+            records.splice(index, 1);
+            return true;
+        },
+
+        deleteMultiple: function() {
+            this.query();
+            while (this.next()) {
+                this.deleteRecord();
+            }
+        },
+
+        // Values set on journal fields become sys_journal_field entries, the stored value is kept
+        _writeJournalEntries: function(stored) {
+            const self = this;
+            Object.keys(this._changed).forEach(function(fieldName) {
+                const definition = self._table.fields[fieldName];
+                if (!definition || ['journal', 'journal_input'].indexOf(definition.type) === -1) {
+                    return;
+                }
+
+                const value = self._current[fieldName];
+                self._current[fieldName] = stored[fieldName] === undefined ? null : stored[fieldName];
+                if (value && env.db.sys_journal_field) {
+                    env.db.sys_journal_field.records.push({
+                        sys_id: newSysId(),
+                        name: self.getRecordClassName(),
+                        element_id: stored.sys_id,
+                        element: fieldName,
+                        value: value,
+                        sys_created_on: formatDateTime(env.now),
+                        sys_created_by: env.user.user_name
+                    });
+                }
+            });
+        },
+
+        _matches: function(record) {
+            return this._conditions.every(function(condition) {
+                const actual = record[condition.field] === undefined || record[condition.field] === null ||
+                    record[condition.field] === '' ? null : String(record[condition.field]);
+                const expected = condition.value === null || condition.value === undefined ? null : toStringValue(condition.value);
+                const operator = OPERATORS[condition.operator];
+                if (!operator) {
+                    throw new Error('Unsupported operator ' + condition.operator);
+                }
+                return operator(actual, expected);
+            });
+        },
+
+        _readable: function(record) {
+            return !isDenied(env.denyRead, this._tableName, record.sys_id);
+        },
+
+        // Queries on a table also return the records of the tables extending it
+        _classRecords: function() {
+            return tableHierarchy(env, this._tableName).reduce(function(records, tableName) {
+                return records.concat(env.db[tableName].records);
+            }, []);
+        }
+    };
+
+    return GlideRecord;
+}
+
+/**
+ * Returns the table and every table extending it, directly or not, the table first.
+ */
+function tableHierarchy(env, tableName) {
+    const tables = [tableName];
+    for (let i = 0; i < tables.length; i++) {
+        Object.keys(env.db).forEach(function(candidate) {
+            if (env.db[candidate].extends === tables[i]) {
+                tables.push(candidate);
+            }
+        });
+    }
+    return tables;
+}
+
+/**
+ * TableUtils with getTables(), following the `extends` of the table fixtures.
+ */
+function createTableUtilsClass(env) {
+    function TableUtils(tableName) {
+        this._tableName = tableName;
+    }
+
+    TableUtils.prototype = {
+        getTables: function() {
+            const tables = [];
+            let tableName = this._tableName;
+            while (tableName) {
+                tables.push(tableName);
+                tableName = env.db[tableName] ? env.db[tableName].extends : null;
+            }
+            return javaList(tables);
+        }
+    };
+
+    return TableUtils;
+}
+
+/**
+ * GlideAggregate supporting COUNT without group by, on top of the GlideRecord stand-in.
+ */
+function createGlideAggregateClass(GlideRecord) {
+    function GlideAggregate(tableName) {
+        GlideRecord.call(this, tableName);
+        this._aggregates = [];
+        this._rowReturned = false;
+    }
+
+    GlideAggregate.prototype = Object.assign(Object.create(GlideRecord.prototype), {
+        addAggregate: function(aggregate) {
+            if (String(aggregate).toUpperCase() !== 'COUNT') {
+                throw new Error('Unsupported aggregate ' + aggregate);
+            }
+            this._aggregates.push('COUNT');
+        },
+
+        query: function() {
+            GlideRecord.prototype.query.call(this);
+            this._rowReturned = false;
+        },
+
+        next: function() {
+            if (this._rowReturned) {
+                return false;
+            }
+            this._rowReturned = true;
+            return true;
+        },
+
+        getAggregate: function(aggregate) {
+            return String(aggregate).toUpperCase() === 'COUNT' ? String(this._results.length) : null;
+        }
+    });
+
+    return GlideAggregate;
+}
+
+function isDenied(entries, tableName, sysId) {
+    return entries.indexOf(tableName) !== -1 || (sysId !== null && entries.indexOf(tableName + ':' + sysId) !== -1);
+}
+
+function createElement(env, gr, fieldName) {
+    const definition = gr._table.fields[fieldName];
+
+    return {
+        getName: function() {
+            return fieldName;
+        },
+        getLabel: function() {
+            return definition.label;
+        },
+        getReferenceTable: function() {
+            return definition.reference || null;
+        },
+        canRead: function() {
+            return gr.canRead() && env.denyRead.indexOf(gr._tableName + '.' + fieldName) === -1;
+        },
+        canWrite: function() {
+            return gr.canWrite() && env.denyWrite.indexOf(gr._tableName + '.' + fieldName) === -1;
+        },
+        getChoices: function() {
+            return javaList(Object.keys(definition.choices || {}));
+        },
+        getED: function() {
+            return {
+                getInternalType: function() {
+                    return definition.type;
+                },
+                isReference: function() {
+                    return definition.type === 'reference';
+                },
+                getLabel: function() {
+                    return definition.label;
+                }
+            };
+        },
+        toString: function() {
+            return gr.getValue(fieldName) || '';
+        }
+    };
+}
+
+function displayValueOf(env, table, record) {
+    const value = record[table.displayField];
+    return value === undefined || value === null ? '' : String(value);
+}
+
+function fieldDisplayValue(env, table, fieldName, value) {
+    if (value === undefined || value === null || value === '') {
+        return '';
+    }
+
+    const definition = table.fields[fieldName];
+    if (!definition) {
+        return '';
+    }
+
+    if (definition.type === 'reference' && env.db[definition.reference]) {
+        const referenced = env.db[definition.reference];
+        const target = referenced.records.filter(function(record) {
+            return record.sys_id === value;
+        })[0];
+        return target ? displayValueOf(env, referenced, target) : '';
+    }
+
+    if (definition.choices && Object.prototype.hasOwnProperty.call(definition.choices, value)) {
+        return definition.choices[value];
+    }
+
+    return String(value);
+}
+
+/**
+ * Copies a value created inside a VM context into a plain object of this realm, so it can be
+ * compared with assert.deepStrictEqual.
+ */
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    createServer: createServer,
+    plain: plain,
+    loadFixture: loadFixture,
+    formatDateTime: formatDateTime,
+    REPO_ROOT: REPO_ROOT
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createServer } = require('./harness/glide');
+
+function setup(options) {
+    const env = createServer(options);
+    const naskAuditUtils = env.load('naskAuditUtils');
+    return { env: env, audit: new naskAuditUtils() };
+}
+
+function logExecution(audit, overrides) {
+    return audit.logExecution(Object.assign({
+        skillName: 'incident_escalation',
+        tableName: 'incident',
+        sysId: '31bea9d1d7233100f2d224837e610375',
+        inputs: { incident: { tableName: 'incident' } },
+        rawOutput: 'kitten',
+        proposedText: 'kitten',
+        status: 'complete',
+        latencyMs: 1200,
+        correlationId: 'corr-1'
+    }, overrides));
+}
+
+test('logExecution stores the execution for the current user', function() {
+    const { env, audit } = setup();
+
+    const auditId = logExecution(audit);
+
+    const record = env.records('u_nask_skill_audit')[0];
+    assert.strictEqual(record.sys_id, auditId);
+    assert.strictEqual(record.u_requester, env.user.sys_id);
+    assert.strictEqual(record.u_inputs, '{"incident":{"tableName":"incident"}}');
+    assert.strictEqual(record.u_latency_ms, '1200');
+});
+
+test('recordAccepted reports the edit distance to the proposed text', function() {
+    const { env, audit } = setup();
+
+    const unchanged = audit.recordAccepted(logExecution(audit), 'kitten');
+    const edited = audit.recordAccepted(logExecution(audit), 'sitting');
+
+    assert.deepStrictEqual([unchanged.changed, unchanged.editDistance], [false, 0]);
+    assert.deepStrictEqual([edited.changed, edited.editDistance], [true, 3]);
+    assert.strictEqual(env.records('u_nask_skill_audit')[1].u_final_text, 'sitting');
+});
+
+test('recordAccepted skips the edit distance for very long texts', function() {
+    const { audit } = setup();
+
+    const result = audit.recordAccepted(logExecution(audit, { proposedText: 'a'.repeat(6000) }), 'b');
+
+    assert.deepStrictEqual([result.changed, result.editDistance], [true, -1]);
+});
+
+test('recordAccepted only accepts the requester\'s own executions', function() {
+    const { env, audit } = setup();
+    const auditId = logExecution(audit);
+
+    env.user.sys_id = '46d44a23a9fe19810012d100cca80666';
+
+    assert.strictEqual(audit.recordAccepted(auditId, 'kitten'), null);
+    assert.strictEqual(env.logsAt('warn').length, 1);
+});
+
+test('completeExecution updates the pending audit record of an async execution', function() {
+    const { env, audit } = setup();
+    logExecution(audit, { status: 'pending', executionId: 'exec-1', rawOutput: '', latencyMs: undefined });
+
+    env.advance(4000);
+    const auditId = audit.completeExecution('exec-1', { status: 'complete', rawOutput: 'done', proposedText: 'done' });
+
+    const record = env.records('u_nask_skill_audit')[0];
+    assert.strictEqual(record.sys_id, auditId);
+    assert.strictEqual(record.u_status, 'complete');
+    assert.strictEqual(record.u_latency_ms, '4000');
+    assert.strictEqual(audit.completeExecution('exec-1', { status: 'complete' }), null);
+});
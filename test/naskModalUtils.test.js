@@ -0,0 +1,456 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createServer } = require('./harness/glide');
+
+const INCIDENT_SYS_ID = '31bea9d1d7233100f2d224837e610375';
+const ESCALATION_CAPABILITY = '8080d1dc2b4c2e1053a3f76dce91bf87';
+const RESOLUTION_CAPABILITY = '9191d1dc2b4c2e1053a3f76dce91bf98';
+
+const REGISTRY = {
+    incident_escalation: {
+        capabilityId: ESCALATION_CAPABILITY,
+        skillConfigId: '588099d02b8c2e1053a3f76dce91bf03',
+        table: 'incident',
+        roles: ['itil'],
+        refinementInput: 'refinement',
+        inputs: {
+            incident: { type: 'record' },
+            summary: { type: 'field', field: 'short_description' }
+        }
+    },
+    incident_resolution: {
+        capabilityId: RESOLUTION_CAPABILITY,
+        skillConfigId: '699099d02b8c2e1053a3f76dce91bf04',
+        table: 'incident',
+        inputs: {
+            incident: { type: 'record' }
+        },
+        output: {
+            format: 'json',
+            fields: [
+                { name: 'summary', path: 'summary', label: 'Summary', targetField: 'work_notes' },
+                { name: 'firstStep', path: 'steps[0]', targetField: 'close_notes' }
+            ]
+        }
+    },
+    incident_sections: {
+        capabilityId: RESOLUTION_CAPABILITY,
+        table: 'incident',
+        output: {
+            format: 'sections',
+            fields: [
+                { name: 'summary', section: 0 },
+                { name: 'escalation', section: 1 }
+            ]
+        }
+    },
+    incident_summary: {
+        capabilityId: ESCALATION_CAPABILITY,
+        table: 'incident',
+        inputs: {
+            context: {
+                type: 'text',
+                options: {
+                    relatedLists: [{ table: 'incident_task', referenceField: 'incident', options: { orderBy: 'number' } }],
+                    fieldPriority: ['short_description']
+                }
+            }
+        }
+    },
+    incident_unknown_capability: {
+        capabilityId: 'ffffffffffffffffffffffffffffffff',
+        table: 'incident'
+    }
+};
+
+function setup(options) {
+    options = options || {};
+    const env = createServer({
+        properties: Object.assign({ 'nask.modal.skill_registry': JSON.stringify(REGISTRY) }, options.properties),
+        user: options.user,
+        denyRead: options.denyRead
+    });
+    env.load('naskAuditUtils');
+
+    env.call = function(methodName, params) {
+        return JSON.parse(env.ajax('naskModalUtils', Object.assign({ sysparm_name: methodName }, params))[methodName]());
+    };
+    env.execSkill = function(params) {
+        return env.call('execSkill', Object.assign({ tableName: 'incident', sysId: INCIDENT_SYS_ID }, params));
+    };
+
+    return env;
+}
+
+test('execSkill builds the request from the registry and returns the model output', function() {
+    const env = setup();
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'Escalate to the email team.' });
+
+    const response = env.execSkill({ skillName: 'incident_escalation' });
+
+    assert.strictEqual(response.status, 'complete');
+    assert.strictEqual(response.output, 'Escalate to the email team.');
+    assert.ok(response.correlationId);
+    assert.deepStrictEqual(env.oneExtend.calls[0], {
+        executionRequests: [{
+            payload: {
+                incident: { tableName: 'incident', sysId: INCIDENT_SYS_ID, queryString: '' },
+                summary: 'Email server is down'
+            },
+            capabilityId: ESCALATION_CAPABILITY,
+            meta: { skillConfigId: '588099d02b8c2e1053a3f76dce91bf03' }
+        }],
+        mode: 'sync'
+    });
+});
+
+test('execSkill passes the record as prompt text to text inputs', function() {
+    const env = setup();
+    env.load('AbstractNowRecordUtils');
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'Summary.' });
+
+    env.execSkill({ skillName: 'incident_summary' });
+
+    const context = env.oneExtend.calls[0].executionRequests[0].payload.context;
+    assert.match(context, /^# Incident: INC0010042\nShort description: Email server is down\n/);
+    assert.match(context, /\n## Incident Task\n- TASK0010001\n  Short description: Restart mail relay\n/);
+});
+
+test('execSkill reads text inputs securely even when the registry turns it off', function() {
+    const registry = JSON.parse(JSON.stringify(REGISTRY));
+    registry.incident_summary.inputs.context.options.secure = false;
+    const env = setup({
+        properties: { 'nask.modal.skill_registry': JSON.stringify(registry) },
+        denyRead: ['incident_task:c0ffee00c0a80164017df472f39e0001']
+    });
+    env.load('AbstractNowRecordUtils');
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'Summary.' });
+
+    env.execSkill({ skillName: 'incident_summary' });
+
+    const context = env.oneExtend.calls[0].executionRequests[0].payload.context;
+    assert.doesNotMatch(context, /TASK0010001|Restart mail relay/);
+    assert.match(context, /\n## Incident Task\n- TASK0010002\n/);
+});
+
+test('execSkill rejects field inputs the user cannot read', function() {
+    const env = setup({ denyRead: ['incident.short_description'] });
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'Escalate.' });
+
+    const response = env.execSkill({ skillName: 'incident_escalation' });
+
+    assert.strictEqual(response.errorCode, 'ACCESS_DENIED');
+    assert.strictEqual(env.oneExtend.calls.length, 0);
+    assert.match(env.logsAt('error')[0], /Denied skill "incident_escalation" for user admin \(field short_description not readable\)/);
+});
+
+test('execSkill runs a batch and reports partial failures per skill in request order', function() {
+    const env = setup();
+    env.oneExtend.executeHandler = function() {
+        return {
+            capabilities: {
+                [ESCALATION_CAPABILITY]: { response: JSON.stringify({ model_output: 'Escalate.' }) },
+                [RESOLUTION_CAPABILITY]: { response: 'not json' }
+            }
+        };
+    };
+
+    const response = env.execSkill({ skillName: 'incident_escalation, incident_resolution,incident_missing' });
+
+    assert.strictEqual(response.status, 'partial');
+    assert.strictEqual(response.output, 'Escalate.');
+    assert.deepStrictEqual(response.results.map(function(result) {
+        return [result.skillName, result.status, result.errorCode];
+    }), [
+        ['incident_escalation', 'complete', undefined],
+        ['incident_resolution', 'failed', 'OUTPUT_PARSE_FAILED'],
+        ['incident_missing', 'failed', 'UNKNOWN_SKILL']
+    ]);
+    assert.strictEqual(env.oneExtend.calls[0].executionRequests.length, 2);
+});
+
+test('execSkill extracts JSON fields from structured output', function() {
+    const env = setup();
+    env.oneExtend.respondWithOutputs({
+        [RESOLUTION_CAPABILITY]: JSON.stringify({ summary: 'Mail relay crashed.', steps: ['Restart relay', 'Notify users'] })
+    });
+
+    const response = env.execSkill({ skillName: 'incident_resolution' });
+
+    assert.deepStrictEqual(response.results[0].fields, [
+        { name: 'summary', label: 'Summary', value: 'Mail relay crashed.', targetField: 'work_notes' },
+        { name: 'firstStep', label: 'firstStep', value: 'Restart relay', targetField: 'close_notes' }
+    ]);
+});
+
+test('execSkill extracts delimited sections from structured output', function() {
+    const env = setup();
+    env.oneExtend.respondWithOutputs({ [RESOLUTION_CAPABILITY]: 'Mail relay crashed.\n---\nEscalate to messaging.' });
+
+    const response = env.execSkill({ skillName: 'incident_sections' });
+
+    assert.deepStrictEqual(response.results[0].fields.map(function(field) {
+        return field.value;
+    }), ['Mail relay crashed.', 'Escalate to messaging.']);
+});
+
+test('execSkill passes a refinement instruction only to skills that accept one', function() {
+    const env = setup();
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'Shorter.', [RESOLUTION_CAPABILITY]: '{}' });
+
+    env.execSkill({ skillName: 'incident_escalation', refinement: 'Make it shorter' });
+    const rejected = env.execSkill({ skillName: 'incident_resolution', refinement: 'Make it shorter' });
+
+    assert.strictEqual(env.oneExtend.calls[0].executionRequests[0].payload.refinement, 'Make it shorter');
+    assert.strictEqual(rejected.errorCode, 'INVALID_REQUEST');
+});
+
+test('execSkill failure paths return the error envelope and log the correlation id', async function(t) {
+    const cases = [
+        ['missing parameters', 'INVALID_REQUEST', { skillName: 'incident_escalation', sysId: '' }],
+        ['unregistered skill', 'UNKNOWN_SKILL', { skillName: 'incident_missing' }],
+        ['table not accepted by the skill', 'INVALID_REQUEST', { skillName: 'incident_escalation', tableName: 'interaction', sysId: 'a1b2c3d4e5f60718293a4b5c6d7e8f90' }],
+        ['record not found', 'RECORD_NOT_FOUND', { skillName: 'incident_escalation', sysId: 'ffffffffffffffffffffffffffffffff' }],
+        ['capability not on the instance', 'UNKNOWN_CAPABILITY', { skillName: 'incident_unknown_capability' }],
+        ['capability missing in the response', 'CAPABILITY_MISSING', { skillName: 'incident_escalation' }, function(env) {
+            env.oneExtend.executeHandler = function() {
+                return { capabilities: {} };
+            };
+        }],
+        ['model_output not readable', 'OUTPUT_PARSE_FAILED', { skillName: 'incident_escalation' }, function(env) {
+            env.oneExtend.executeHandler = function() {
+                return { capabilities: { [ESCALATION_CAPABILITY]: { response: '{"no_output": true}' } } };
+            };
+        }],
+        ['structured output not parseable', 'OUTPUT_PARSE_FAILED', { skillName: 'incident_resolution' }, function(env) {
+            env.oneExtend.respondWithOutputs({ [RESOLUTION_CAPABILITY]: 'plain text' });
+        }],
+        ['platform exception', 'PLATFORM_EXCEPTION', { skillName: 'incident_escalation' }, function(env) {
+            env.oneExtend.executeHandler = function() {
+                throw new Error('Transaction cancelled');
+            };
+        }]
+    ];
+
+    for (const [name, errorCode, params, arrange] of cases) {
+        await t.test(name, function() {
+            const env = setup();
+            if (arrange) {
+                arrange(env);
+            }
+
+            const response = env.execSkill(params);
+
+            assert.strictEqual(response.status, 'failed');
+            assert.strictEqual(response.errorCode, errorCode);
+            assert.ok(response.message);
+            assert.ok(!('output' in response) || response.output === '');
+            assert.ok(env.logsAt('error').some(function(message) {
+                return message.indexOf('[' + response.correlationId + '] ' + errorCode) !== -1;
+            }));
+        });
+    }
+});
+
+test('execSkill denies users without the skill role', function() {
+    const env = setup({ user: { roles: [] } });
+
+    const response = env.execSkill({ skillName: 'incident_escalation' });
+
+    assert.strictEqual(response.errorCode, 'ACCESS_DENIED');
+    assert.match(env.logsAt('error')[0], /Denied skill "incident_escalation" for user admin \(missing role\)/);
+    assert.strictEqual(env.oneExtend.calls.length, 0);
+});
+
+test('execSkill denies records the user cannot read', function() {
+    const env = setup({ denyRead: ['incident:' + INCIDENT_SYS_ID] });
+
+    const response = env.execSkill({ skillName: 'incident_escalation' });
+
+    assert.strictEqual(response.errorCode, 'ACCESS_DENIED');
+    assert.match(env.logsAt('error')[0], /record not readable\) on record incident:31bea9d1d7233100f2d224837e610375/);
+});
+
+test('execSkill rate limits per user and skill', function() {
+    const env = setup({
+        properties: { 'nask.modal.rate_limit.max': '2', 'nask.modal.rate_limit.window_seconds': '60' }
+    });
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'ok', [RESOLUTION_CAPABILITY]: '{}' });
+
+    env.execSkill({ skillName: 'incident_escalation' });
+    env.advance(10000);
+    env.execSkill({ skillName: 'incident_escalation' });
+    const limited = env.execSkill({ skillName: 'incident_escalation' });
+    const otherSkill = env.execSkill({ skillName: 'incident_resolution' });
+
+    assert.strictEqual(limited.errorCode, 'RATE_LIMITED');
+    assert.strictEqual(limited.retryAfter, 50);
+    assert.strictEqual(otherSkill.status, 'complete');
+
+    env.advance(50000);
+    assert.strictEqual(env.execSkill({ skillName: 'incident_escalation' }).status, 'complete');
+});
+
+test('execSkill keeps the rate limit in a table the user cannot reset', function() {
+    const env = setup({ properties: { 'nask.modal.rate_limit.max': '1' } });
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'ok' });
+
+    env.execSkill({ skillName: 'incident_escalation' });
+    env.preferences = {};
+    const limited = env.execSkill({ skillName: 'incident_escalation' });
+
+    assert.strictEqual(limited.errorCode, 'RATE_LIMITED');
+    assert.deepStrictEqual(env.records('u_nask_rate_limit').map(function(execution) {
+        return [execution.u_user, execution.u_skill_name];
+    }), [['6816f79cc0a8016401c5a33be04be441', 'incident_escalation']]);
+});
+
+test('execSkill counts executions recorded by concurrent requests', function() {
+    const env = setup({ properties: { 'nask.modal.rate_limit.max': '1' } });
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'ok' });
+
+    // A concurrent request records its execution between this request's insert and count
+    const GlideRecord = env.context.GlideRecord;
+    const insert = GlideRecord.prototype.insert;
+    GlideRecord.prototype.insert = function() {
+        const sysId = insert.apply(this, arguments);
+        if (this.getTableName() === 'u_nask_rate_limit') {
+            GlideRecord.prototype.insert = insert;
+            env.records('u_nask_rate_limit').push(Object.assign({}, env.records('u_nask_rate_limit')[0], {
+                sys_id: 'cc000000000000000000000000000001'
+            }));
+        }
+        return sysId;
+    };
+
+    const response = env.execSkill({ skillName: 'incident_escalation' });
+
+    assert.strictEqual(response.errorCode, 'RATE_LIMITED');
+    assert.deepStrictEqual(env.records('u_nask_rate_limit').map(function(execution) {
+        return execution.sys_id;
+    }), ['cc000000000000000000000000000001']);
+});
+
+test('startSkill and getSkillStatus report pending and complete executions', function() {
+    const env = setup();
+    env.oneExtend.respondWithExecutions({ [ESCALATION_CAPABILITY]: 'exec-1' });
+
+    const handle = env.call('startSkill', { skillName: 'incident_escalation', tableName: 'incident', sysId: INCIDENT_SYS_ID });
+
+    assert.strictEqual(handle.status, 'pending');
+    assert.strictEqual(handle.executionId, 'exec-1');
+    assert.strictEqual(env.oneExtend.calls[0].mode, 'async');
+
+    env.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'in_progress');
+    assert.strictEqual(env.call('getSkillStatus', { executionId: 'exec-1', skillName: 'incident_escalation' }).status, 'pending');
+
+    env.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'success', 'Escalate.');
+    const status = env.call('getSkillStatus', { executionId: 'exec-1', skillName: 'incident_escalation' });
+
+    assert.strictEqual(status.status, 'complete');
+    assert.strictEqual(status.output, 'Escalate.');
+    assert.strictEqual(status.auditId, handle.auditId);
+});
+
+test('startSkill runs a single skill', function() {
+    const env = setup();
+
+    const response = env.call('startSkill', { skillName: 'incident_escalation,incident_resolution', tableName: 'incident', sysId: INCIDENT_SYS_ID });
+
+    assert.strictEqual(response.errorCode, 'INVALID_REQUEST');
+});
+
+test('getSkillStatus reports failed executions', function() {
+    const env = setup();
+    env.oneExtend.respondWithExecutions({ [ESCALATION_CAPABILITY]: 'exec-1' });
+    env.call('startSkill', { skillName: 'incident_escalation', tableName: 'incident', sysId: INCIDENT_SYS_ID });
+
+    env.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'error');
+    const failed = env.call('getSkillStatus', { executionId: 'exec-1', skillName: 'incident_escalation' });
+    const missingId = env.call('getSkillStatus', { skillName: 'incident_escalation' });
+    const unknownSkill = env.call('getSkillStatus', { executionId: 'exec-1', skillName: 'incident_missing' });
+
+    assert.strictEqual(failed.errorCode, 'EXECUTION_FAILED');
+    assert.strictEqual(missingId.errorCode, 'INVALID_REQUEST');
+    assert.strictEqual(unknownSkill.errorCode, 'UNKNOWN_SKILL');
+});
+
+test('getSkillStatus only reports executions the user started on readable records', function() {
+    const env = setup({ user: { roles: ['itil'] } });
+    env.oneExtend.respondWithExecutions({ [ESCALATION_CAPABILITY]: 'exec-1' });
+    env.call('startSkill', { skillName: 'incident_escalation', tableName: 'incident', sysId: INCIDENT_SYS_ID });
+    env.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'success', 'SECRET OUTPUT');
+    const request = { executionId: 'exec-1', skillName: 'incident_escalation' };
+
+    env.user = { sys_id: '46d44a23a9fe19810012d100cca80666', user_name: 'beth.anglin', roles: ['itil'] };
+    const otherUser = env.call('getSkillStatus', request);
+
+    env.user = { sys_id: '6816f79cc0a8016401c5a33be04be441', user_name: 'admin', roles: ['itil'] };
+    env.denyRead.push('incident');
+    const unreadable = env.call('getSkillStatus', request);
+
+    env.denyRead.pop();
+    const requester = env.call('getSkillStatus', request);
+
+    assert.strictEqual(otherUser.errorCode, 'ACCESS_DENIED');
+    assert.strictEqual(otherUser.output, undefined);
+    assert.match(env.logsAt('error')[0], /Denied skill "incident_escalation" for user beth.anglin \(execution exec-1 not started by user\)/);
+    assert.strictEqual(unreadable.errorCode, 'ACCESS_DENIED');
+    assert.strictEqual(unreadable.output, undefined);
+    assert.strictEqual(requester.status, 'complete');
+    assert.strictEqual(requester.output, 'SECRET OUTPUT');
+});
+
+test('cancelSkill marks only the requester\'s pending execution as cancelled', function() {
+    const env = setup({ user: { roles: ['itil'] } });
+    env.oneExtend.respondWithExecutions({ [ESCALATION_CAPABILITY]: 'exec-1' });
+    const handle = env.call('startSkill', { skillName: 'incident_escalation', tableName: 'incident', sysId: INCIDENT_SYS_ID });
+    const request = { executionId: 'exec-1', skillName: 'incident_escalation' };
+
+    env.user = { sys_id: '46d44a23a9fe19810012d100cca80666', user_name: 'beth.anglin', roles: ['itil'] };
+    const otherUser = env.call('cancelSkill', request);
+
+    env.user = { sys_id: '6816f79cc0a8016401c5a33be04be441', user_name: 'admin', roles: ['itil'] };
+    const missingId = env.call('cancelSkill', { skillName: 'incident_escalation' });
+    const cancelled = env.call('cancelSkill', request);
+
+    assert.strictEqual(otherUser.errorCode, 'AUDIT_NOT_FOUND');
+    assert.strictEqual(missingId.errorCode, 'INVALID_REQUEST');
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.strictEqual(cancelled.auditId, handle.auditId);
+    assert.strictEqual(env.records('u_nask_skill_audit')[0].u_status, 'cancelled');
+
+    // A late status poll does not overwrite the cancellation
+    env.oneExtend.respondWithStatus(ESCALATION_CAPABILITY, 'success', 'Escalate.');
+    env.call('getSkillStatus', request);
+    assert.strictEqual(env.records('u_nask_skill_audit')[0].u_status, 'cancelled');
+});
+
+test('execSkill audits every result and recordAccepted stores the saved text', function() {
+    const env = setup();
+    env.oneExtend.respondWithOutputs({ [ESCALATION_CAPABILITY]: 'Escalate to email team.' });
+
+    const response = env.execSkill({ skillName: 'incident_escalation' });
+    const accepted = env.call('recordAccepted', { auditId: response.results[0].auditId, finalText: 'Escalate to the email team.' });
+
+    assert.deepStrictEqual(
+        [accepted.status, accepted.changed, accepted.editDistance],
+        ['complete', true, 4]
+    );
+
+    const audit = env.records('u_nask_skill_audit')[0];
+    assert.strictEqual(audit.u_skill_name, 'incident_escalation');
+    assert.strictEqual(audit.u_document_id, INCIDENT_SYS_ID);
+    assert.strictEqual(audit.u_raw_output, 'Escalate to email team.');
+    assert.strictEqual(audit.u_final_text, 'Escalate to the email team.');
+    assert.strictEqual(audit.u_status, 'complete');
+    assert.strictEqual(audit.u_accepted, 'true');
+});
+
+test('recordAccepted rejects unknown audit records', function() {
+    const env = setup();
+
+    assert.strictEqual(env.call('recordAccepted', { auditId: 'ffffffffffffffffffffffffffffffff', finalText: 'x' }).errorCode, 'AUDIT_NOT_FOUND');
+});